@@ -0,0 +1,317 @@
+/**
+ * Anthropic Messages API front end (/v1/messages)
+ *
+ * Requests are lowered to chat completions, so sanitizeTools, signature injection
+ * and extraction, retries and fallbacks apply unchanged. Thought signatures stay in
+ * the proxy's store (keyed by tool call ID and message text) and are never exposed
+ * to the client. Responses and streams are converted back to Messages API objects
+ * and events.
+ */
+
+const crypto = require('crypto');
+const { createTranslatingResponse } = require('./front-end');
+const { estimateRequestTokens } = require('./tokens');
+
+// chat completion finish_reason -> stop_reason
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  content_filter: 'refusal'
+};
+
+// HTTP status -> Anthropic error type
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  503: 'overloaded_error',
+  529: 'overloaded_error'
+};
+
+// Content as an array of blocks (a string is one text block)
+const blocksOf = content => (typeof content === 'string' ? [{ type: 'text', text: content }] : content || []);
+
+// Text of the text blocks of a content value
+const textOf = content => blocksOf(content).filter(block => block?.type === 'text').map(block => block.text).join('');
+
+// Image block -> image_url part (base64 sources as data URLs)
+function imagePart(block) {
+  const source = block.source || {};
+  const url = source.type === 'base64' ? `data:${source.media_type};base64,${source.data}` : source.url;
+  return { type: 'image_url', image_url: { url } };
+}
+
+// tool_choice -> chat completion tool_choice
+function toolChoiceOf(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'auto': return 'auto';
+    case 'any': return 'required';
+    case 'none': return 'none';
+    case 'tool': return { type: 'function', function: { name: toolChoice.name } };
+    default: return undefined;
+  }
+}
+
+// Messages API request -> chat completion request
+// Throws for a request without messages (the proxy answers it with a 400)
+function fromMessagesRequest(request) {
+  if (!Array.isArray(request?.messages) || request.messages.length === 0) {
+    throw new Error('messages: must be a non-empty array');
+  }
+  const messages = [];
+
+  const system = typeof request.system === 'string' ? request.system : textOf(request.system);
+  if (system) messages.push({ role: 'system', content: system });
+
+  for (const msg of request.messages) {
+    const blocks = blocksOf(msg?.content);
+
+    if (msg?.role === 'assistant') {
+      const toolCalls = blocks.filter(block => block?.type === 'tool_use').map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+      const message = { role: 'assistant', content: textOf(blocks) || null };
+      if (toolCalls.length > 0) message.tool_calls = toolCalls;
+      messages.push(message);
+      continue;
+    }
+
+    // User turn: tool results first (they answer the previous assistant turn), then the rest
+    const parts = [];
+    for (const block of blocks) {
+      if (block?.type === 'tool_result') {
+        const resultBlocks = blocksOf(block.content);
+        // Failed tool runs keep their error flag as a prefix the model can see
+        const text = textOf(resultBlocks);
+        messages.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.is_error ? `Error: ${text}` : text });
+        // Images returned by a tool follow in the user message
+        parts.push(...resultBlocks.filter(item => item?.type === 'image').map(imagePart));
+      } else if (block?.type === 'text') {
+        parts.push({ type: 'text', text: block.text });
+      } else if (block?.type === 'image') {
+        parts.push(imagePart(block));
+      }
+    }
+    if (parts.length > 0) {
+      const textOnly = parts.every(part => part.type === 'text');
+      messages.push({ role: 'user', content: textOnly ? parts.map(part => part.text).join('') : parts });
+    }
+  }
+
+  const chat = { model: request.model, messages };
+  if (request.max_tokens !== undefined) chat.max_tokens = request.max_tokens;
+  if (request.temperature !== undefined) chat.temperature = request.temperature;
+  if (request.top_p !== undefined) chat.top_p = request.top_p;
+  if (Array.isArray(request.stop_sequences) && request.stop_sequences.length > 0) chat.stop = request.stop_sequences;
+  if (request.stream === true) {
+    chat.stream = true;
+    chat.stream_options = { include_usage: true };
+  }
+
+  // Client tools only - server tools (web search etc.) have no input_schema
+  const tools = (request.tools || []).filter(tool => tool?.input_schema);
+  if (tools.length > 0) {
+    chat.tools = tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+    }));
+  }
+  const toolChoice = toolChoiceOf(request.tool_choice);
+  if (toolChoice) chat.tool_choice = toolChoice;
+
+  // Thought summaries come back as reasoning_content, which becomes thinking blocks
+  if (request.thinking?.type === 'enabled' && request.thinking.budget_tokens) {
+    chat.extra_body = { google: { thinking_config: { thinking_budget: request.thinking.budget_tokens, include_thoughts: true } } };
+  }
+
+  return chat;
+}
+
+// Parsed tool call arguments (invalid JSON is kept as a string so nothing is lost)
+function inputOf(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (e) {
+    return { arguments: args };
+  }
+}
+
+const usageOf = usage => ({ input_tokens: usage?.prompt_tokens || 0, output_tokens: usage?.completion_tokens || 0 });
+
+const messageId = () => `msg_${crypto.randomBytes(12).toString('hex')}`;
+
+// Chat completion -> Messages API response
+// Gemini can answer tool calls with finish_reason "stop"; stop_reason is "tool_use" whenever
+// there are tool_use blocks, or agent loops stop instead of running the tools
+function toMessagesResponse(data) {
+  const choice = data.choices?.[0] || {};
+  const content = [];
+  // Thought signatures stay in the proxy's store, so thinking blocks carry no signature
+  if (choice.message?.reasoning_content) content.push({ type: 'thinking', thinking: choice.message.reasoning_content, signature: '' });
+  if (choice.message?.content) content.push({ type: 'text', text: choice.message.content });
+  for (const toolCall of choice.message?.tool_calls || []) {
+    content.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, input: inputOf(toolCall.function?.arguments) });
+  }
+
+  return {
+    id: messageId(),
+    type: 'message',
+    role: 'assistant',
+    model: data.model,
+    content,
+    stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : STOP_REASONS[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: usageOf(data.usage)
+  };
+}
+
+// OpenAI-format error body -> Messages API error
+function toAnthropicError(data, statusCode) {
+  return {
+    type: 'error',
+    error: {
+      type: ERROR_TYPES[statusCode] || 'api_error',
+      message: data?.error?.message || `Upstream returned status ${statusCode}`
+    }
+  };
+}
+
+// Translate chat.completion.chunk data into Messages API stream events:
+// message_start, content_block_start/delta/stop per thinking, text or tool_use block,
+// message_delta (stop_reason, usage) and message_stop
+// The usage only arrives with the last chunk, so message_start reports inputTokens (an
+// estimate of the request) and message_delta the real usage
+function createAnthropicStreamTranslator({ inputTokens = 0 } = {}) {
+  const event = (type, data) => ({ event: type, data: JSON.stringify({ type, ...data }) });
+  let started = false;
+  // Open content block: {index, kind: 'thinking' | 'text' | tool call index}
+  let block = null;
+  let blockCount = 0;
+  let finishReason = null;
+  let usage = null;
+
+  function closeBlock(events) {
+    if (!block) return;
+    events.push(event('content_block_stop', { index: block.index }));
+    block = null;
+  }
+
+  function openBlock(events, kind, contentBlock) {
+    closeBlock(events);
+    block = { index: blockCount++, kind };
+    events.push(event('content_block_start', { index: block.index, content_block: contentBlock }));
+  }
+
+  return {
+    push(data) {
+      const events = [];
+      if (data.error) {
+        events.push(event('error', { error: { type: 'api_error', message: data.error.message || 'Upstream stream error' } }));
+        return events;
+      }
+
+      if (!started) {
+        started = true;
+        events.push(event('message_start', {
+          message: {
+            id: messageId(),
+            type: 'message',
+            role: 'assistant',
+            model: data.model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: inputTokens, output_tokens: 0 }
+          }
+        }));
+      }
+      if (data.usage) usage = data.usage;
+
+      const choice = data.choices?.[0];
+      if (!choice) return events;
+      const delta = choice.delta || {};
+
+      if (delta.reasoning_content) {
+        if (block?.kind !== 'thinking') openBlock(events, 'thinking', { type: 'thinking', thinking: '', signature: '' });
+        events.push(event('content_block_delta', { index: block.index, delta: { type: 'thinking_delta', thinking: delta.reasoning_content } }));
+      }
+      if (delta.content) {
+        if (block?.kind !== 'text') openBlock(events, 'text', { type: 'text', text: '' });
+        events.push(event('content_block_delta', { index: block.index, delta: { type: 'text_delta', text: delta.content } }));
+      }
+      for (const toolCall of delta.tool_calls || []) {
+        if (block?.kind !== toolCall.index) {
+          openBlock(events, toolCall.index, { type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, input: {} });
+        }
+        if (toolCall.function?.arguments) {
+          events.push(event('content_block_delta', {
+            index: block.index,
+            delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments }
+          }));
+        }
+      }
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+      return events;
+    },
+
+    end(complete) {
+      const events = [];
+      if (!started) return events;
+      closeBlock(events);
+      if (!complete && !finishReason) {
+        events.push(event('error', { error: { type: 'api_error', message: 'Stream ended before the response was complete' } }));
+        return events;
+      }
+      events.push(event('message_delta', {
+        delta: { stop_reason: STOP_REASONS[finishReason] || 'end_turn', stop_sequence: null },
+        usage: usageOf(usage)
+      }));
+      events.push(event('message_stop', {}));
+      return events;
+    }
+  };
+}
+
+// Chat completion upstream headers for a Messages API request: the x-api-key becomes
+// the bearer token and the anthropic-* headers are dropped
+function toChatHeaders(headers) {
+  const converted = { ...headers };
+  if (converted['x-api-key'] && !converted.authorization) converted.authorization = `Bearer ${converted['x-api-key']}`;
+  delete converted['x-api-key'];
+  for (const name of Object.keys(converted)) {
+    if (name.startsWith('anthropic-')) delete converted[name];
+  }
+  return converted;
+}
+
+// Per-request Messages API exchange: output is the client response to write chat completions to
+function createMessagesExchange(clientRes) {
+  let inputTokens = 0;
+  return {
+    toChatRequest(request) {
+      const chat = fromMessagesRequest(request);
+      inputTokens = estimateRequestTokens(chat);
+      return chat;
+    },
+    toChatHeaders,
+    output: createTranslatingResponse(clientRes, {
+      body: toMessagesResponse,
+      error: toAnthropicError,
+      stream: () => createAnthropicStreamTranslator({ inputTokens })
+    })
+  };
+}
+
+module.exports = {
+  fromMessagesRequest,
+  toMessagesResponse,
+  toAnthropicError,
+  createAnthropicStreamTranslator,
+  createMessagesExchange
+};
@@ -0,0 +1,107 @@
+/**
+ * Concurrency limiter for upstream requests: a global and a per-conversation cap,
+ * with requests beyond either cap waiting in a FIFO queue
+ */
+
+const { DEFAULT_CONFIG } = require('./config');
+
+// Error for a request that left the queue without a slot
+// code: QUEUE_TIMEOUT (waited queueTimeoutMs) or ABORTED (signal aborted while queued)
+function queueError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Limit concurrent upstream requests
+// options: maxRequests and maxPerConversation (0: unlimited), queueTimeoutMs
+// acquire(conversationId, signal) resolves with a release() function once a slot is free
+function createConcurrencyLimiter(options = {}) {
+  const defaults = DEFAULT_CONFIG.concurrency;
+  const maxRequests = options.maxRequests ?? defaults.maxRequests;
+  const maxPerConversation = options.maxPerConversation ?? defaults.maxPerConversation;
+  const queueTimeoutMs = options.queueTimeoutMs ?? defaults.queueTimeoutMs;
+
+  let active = 0;
+  const activeByConversation = new Map();
+  const queue = [];
+
+  const hasSlot = conversationId => (
+    (maxRequests === 0 || active < maxRequests) &&
+    (maxPerConversation === 0 || (activeByConversation.get(conversationId) || 0) < maxPerConversation)
+  );
+
+  // Take a slot; the returned release() frees it (further calls do nothing)
+  function take(conversationId) {
+    active++;
+    activeByConversation.set(conversationId, (activeByConversation.get(conversationId) || 0) + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active--;
+      const count = activeByConversation.get(conversationId) - 1;
+      if (count > 0) activeByConversation.set(conversationId, count);
+      else activeByConversation.delete(conversationId);
+      drain();
+    };
+  }
+
+  // Hand free slots to waiting requests in arrival order
+  // A request blocked only by its conversation's cap doesn't hold up other conversations
+  function drain() {
+    for (let i = 0; i < queue.length && (maxRequests === 0 || active < maxRequests);) {
+      const waiter = queue[i];
+      if (!hasSlot(waiter.conversationId)) {
+        i++;
+        continue;
+      }
+      queue.splice(i, 1);
+      waiter.settle();
+      waiter.resolve(take(waiter.conversationId));
+    }
+  }
+
+  return {
+    get active() {
+      return active;
+    },
+
+    get queued() {
+      return queue.length;
+    },
+
+    acquire(conversationId, signal = null) {
+      if (signal?.aborted) {
+        return Promise.reject(queueError('Request aborted while waiting for a slot', 'ABORTED'));
+      }
+
+      // Every request joins the queue, so earlier waiters are served first
+      return new Promise((resolve, reject) => {
+        const waiter = { conversationId, resolve };
+        const leave = error => {
+          const idx = queue.indexOf(waiter);
+          if (idx === -1) return;
+          queue.splice(idx, 1);
+          waiter.settle();
+          reject(error);
+        };
+        const onAbort = () => leave(queueError('Request aborted while waiting for a slot', 'ABORTED'));
+        const timer = setTimeout(
+          () => leave(queueError(`No free request slot within ${queueTimeoutMs / 1000}s`, 'QUEUE_TIMEOUT')),
+          queueTimeoutMs
+        );
+        waiter.settle = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        queue.push(waiter);
+        drain();
+      });
+    }
+  };
+}
+
+module.exports = { createConcurrencyLimiter };
@@ -0,0 +1,500 @@
+/**
+ * Configuration: defaults, setting types, config file parsing (JSON or a YAML
+ * subset) and the precedence of config file, environment variables and CLI flags
+ */
+
+const { LOG_LEVELS } = require('./logger');
+const { URL } = require('url');
+
+// Default configuration
+// Every setting can be overridden by a config file, GEMINI_PROXY_* environment
+// variables and CLI flags, in that order of increasing precedence
+const DEFAULT_CONFIG = {
+  port: 8319,
+  upstream: 'https://generativelanguage.googleapis.com',
+  upstreamApi: 'openai',   // openai (/v1beta/openai/ compatibility layer) or native (generateContent)
+  timeouts: {
+    connectMs: 30000,    // Connection to upstream
+    responseMs: 60000,   // Complete response
+    idleMs: 30000        // Gap between response chunks
+  },
+  retry: {
+    maxAttempts: 5,
+    rateLimitDelaysMs: [2000, 5000, 10000, 20000, 40000],  // 429 backoff (unless Retry-After)
+    unavailableRetries: 3,                                  // 503 retries
+    unavailableBaseDelayMs: 1000,                           // 503 backoff: 1s, 2s, 4s
+    errorBaseDelayMs: 1000                                  // Network error backoff: 1s, 2s, 4s...
+  },
+  signatures: {
+    ttlMs: 60 * 60 * 1000,
+    maxPerConversation: 100,
+    storeFile: null      // File path to persist signatures across restarts
+  },
+  models: {
+    aliases: {},         // Requested model -> model to use, e.g. {"pro": "gemini-3-pro-preview"}
+    fallbacks: {}        // Model -> ordered fallback models once its retries are exhausted
+  },
+  keys: {
+    pool: [],            // Upstream API keys to rotate through (empty: use the client's key)
+    cooldownMs: 60000,   // Cooldown after a 429 without Retry-After
+    maxWaitMs: 60000     // Longest wait for a key to recover when all are cooling down (0: fail fast)
+  },
+  concurrency: {
+    maxRequests: 16,           // Concurrent upstream requests (0: unlimited)
+    maxPerConversation: 4,     // Concurrent upstream requests per conversation (0: unlimited)
+    queueTimeoutMs: 60000      // Longest wait for a free slot before a 503
+  },
+  rateLimit: {
+    requestsPerMinute: 0,      // Upstream requests per minute of your Gemini tier (0: no limit)
+    tokensPerMinute: 0,        // Estimated prompt tokens per minute (0: no limit)
+    maxWaitMs: 120000          // Longest rate limiter delay before answering 429 right away
+  },
+  context: {
+    windowTokens: 1048576,     // Context window of models not listed in modelWindows
+    modelWindows: {},          // Model -> context window in tokens, e.g. {"gemini-2.5-flash": 1048576}
+    trimPercent: 80,           // Trim old tool results above this share of the window (0: off)
+    keepChars: 2000            // Characters kept at the start and at the end of a trimmed tool result
+  },
+  recovery: {
+    emptyStopRetries: 2,       // Retries of an empty finish_reason "stop" turn after tool results (0: off)
+    nudge: null                // User message appended to retried turns, e.g. "Continue."
+  },
+  thinking: {
+    includeThoughts: false     // Ask thinking models for thought summaries (returned as reasoning_content)
+  },
+  responses: {
+    ttlMs: 60 * 60 * 1000,     // How long /v1/responses results stay available to previous_response_id
+    maxStored: 1000            // Stored responses (oldest dropped first)
+  },
+  recording: {
+    recordDir: null,     // Save every upstream exchange to this directory
+    replayDir: null      // Serve recorded exchanges from this directory (no network)
+  },
+  logging: {
+    level: 'info',       // debug, info, warn, error or silent
+    format: 'text',      // text or json (JSON lines)
+    redactContent: false // Mask message content and tool arguments in logs
+  },
+  schema: {
+    // How many times the same $ref may be expanded along one schema path before
+    // a recursive definition is cut off (e.g. tree nodes referencing themselves)
+    maxRefDepth: 2
+  }
+};
+
+// Value types for configuration settings
+// Each takes a raw value (string from env/CLI, or parsed from the config file)
+// and returns {value} or {error}
+const CONFIG_TYPES = {
+  integer(raw) {
+    const value = typeof raw === 'string' && /^\s*\d+\s*$/.test(raw) ? Number(raw) : raw;
+    return Number.isInteger(value) && value >= 0
+      ? { value }
+      : { error: 'must be a non-negative integer' };
+  },
+
+  positiveInteger(raw) {
+    const { value, error } = CONFIG_TYPES.integer(raw);
+    return !error && value >= 1
+      ? { value }
+      : { error: 'must be a positive integer' };
+  },
+
+  port(raw) {
+    const { value, error } = CONFIG_TYPES.integer(raw);
+    return !error && value >= 1 && value <= 65535
+      ? { value }
+      : { error: 'must be a port number (1-65535)' };
+  },
+
+  integerList(raw) {
+    const list = typeof raw === 'string' ? raw.split(',') : raw;
+    if (!Array.isArray(list) || list.length === 0) {
+      return { error: 'must be a non-empty list of non-negative integers' };
+    }
+    const values = list.map(item => CONFIG_TYPES.integer(item));
+    return values.every(v => !v.error)
+      ? { value: values.map(v => v.value) }
+      : { error: 'must be a non-empty list of non-negative integers' };
+  },
+
+  stringList(raw) {
+    const list = typeof raw === 'string' ? raw.split(',') : raw;
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) {
+      return { error: 'must be a list of strings' };
+    }
+    return { value: list.map(item => item.trim()).filter(Boolean) };
+  },
+
+  // Mapping of model names; string form "a=b,c=d"
+  stringMap(raw) {
+    const entries = typeof raw === 'string'
+      ? raw.split(',').filter(item => item.trim()).map(item => item.split('='))
+      : (raw && typeof raw === 'object' && !Array.isArray(raw) ? Object.entries(raw) : null);
+    if (!entries || !entries.every(([key, value]) => key && key.trim() && typeof value === 'string' && value.trim())) {
+      return { error: 'must map names to names ("a=b,c=d")' };
+    }
+    return { value: Object.fromEntries(entries.map(([key, value]) => [key.trim(), value.trim()])) };
+  },
+
+  // Mapping of model names to non-negative integers; string form "a=1,b=2"
+  integerMap(raw) {
+    const entries = typeof raw === 'string'
+      ? raw.split(',').filter(item => item.trim()).map(item => item.split('='))
+      : (raw && typeof raw === 'object' && !Array.isArray(raw) ? Object.entries(raw) : null);
+    const values = entries && entries.map(([key, value]) => [key, CONFIG_TYPES.integer(value)]);
+    if (!values || !values.every(([key, value]) => key && key.trim() && !value.error)) {
+      return { error: 'must map names to non-negative integers ("a=1,b=2")' };
+    }
+    return { value: Object.fromEntries(values.map(([key, value]) => [key.trim(), value.value])) };
+  },
+
+  // Mapping of model names to ordered lists; string form "a=b|c,d=e"
+  listMap(raw) {
+    const entries = typeof raw === 'string'
+      ? raw.split(',').filter(item => item.trim()).map(item => {
+        const [key, list = ''] = item.split('=');
+        return [key, list.split('|')];
+      })
+      : (raw && typeof raw === 'object' && !Array.isArray(raw) ? Object.entries(raw) : null);
+    const valid = entries && entries.every(([key, list]) =>
+      key && key.trim() && Array.isArray(list) && list.every(item => typeof item === 'string' && item.trim()));
+    if (!valid) {
+      return { error: 'must map names to lists of names ("a=b|c,d=e")' };
+    }
+    return { value: Object.fromEntries(entries.map(([key, list]) => [key.trim(), list.map(item => item.trim())])) };
+  },
+
+  percent(raw) {
+    const { value, error } = CONFIG_TYPES.integer(raw);
+    return !error && value <= 100
+      ? { value }
+      : { error: 'must be a percentage (0-100)' };
+  },
+
+  url(raw) {
+    if (typeof raw !== 'string' || raw.trim() === '') return { error: 'must be a URL' };
+
+    // A bare hostname means HTTPS on the default port
+    const text = raw.includes('://') ? raw.trim() : `https://${raw.trim()}`;
+    let url;
+    try {
+      url = new URL(text);
+    } catch (e) {
+      return { error: `"${raw}" is not a valid URL` };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return { error: 'must be an http:// or https:// URL' };
+    if (url.pathname !== '/' || url.search) return { error: 'must not include a path or query' };
+    return { value: url.origin };
+  },
+
+  boolean(raw) {
+    const text = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) return { value: true };
+    if (['false', '0', 'no'].includes(text)) return { value: false };
+    return { error: 'must be true or false' };
+  },
+
+  logLevel(raw) {
+    return Object.prototype.hasOwnProperty.call(LOG_LEVELS, raw)
+      ? { value: raw }
+      : { error: `must be one of ${Object.keys(LOG_LEVELS).join(', ')}` };
+  },
+
+  upstreamApi(raw) {
+    return raw === 'openai' || raw === 'native' ? { value: raw } : { error: 'must be openai or native' };
+  },
+
+  logFormat(raw) {
+    return raw === 'text' || raw === 'json' ? { value: raw } : { error: 'must be text or json' };
+  },
+
+  text(raw) {
+    if (raw === null || raw === '') return { value: null };
+    return typeof raw === 'string' ? { value: raw } : { error: 'must be a string' };
+  },
+
+  path(raw) {
+    if (raw === null || raw === '') return { value: null };
+    return typeof raw === 'string' ? { value: raw } : { error: 'must be a file path' };
+  }
+};
+
+// Settings exposed as CLI flags and environment variables
+// path is the setting's location in DEFAULT_CONFIG (and in config files)
+const CONFIG_OPTIONS = [
+  { path: 'port', flag: '--port', env: 'GEMINI_PROXY_PORT', type: 'port', description: 'Port to listen on' },
+  { path: 'upstream', flag: '--upstream', env: 'GEMINI_PROXY_UPSTREAM', type: 'url', description: 'Upstream Gemini API origin (http:// for local mocks)' },
+  { path: 'upstreamApi', flag: '--upstream-api', env: 'GEMINI_PROXY_UPSTREAM_API', type: 'upstreamApi', description: 'Upstream API: openai (compatibility layer) or native (generateContent)' },
+  { path: 'timeouts.connectMs', flag: '--connect-timeout', env: 'GEMINI_PROXY_CONNECT_TIMEOUT_MS', type: 'integer', description: 'Upstream connection timeout (ms)' },
+  { path: 'timeouts.responseMs', flag: '--response-timeout', env: 'GEMINI_PROXY_RESPONSE_TIMEOUT_MS', type: 'positiveInteger', description: 'Complete response timeout (ms)' },
+  { path: 'timeouts.idleMs', flag: '--idle-timeout', env: 'GEMINI_PROXY_IDLE_TIMEOUT_MS', type: 'positiveInteger', description: 'Idle timeout between response chunks (ms)' },
+  { path: 'retry.maxAttempts', flag: '--max-attempts', env: 'GEMINI_PROXY_MAX_ATTEMPTS', type: 'positiveInteger', description: 'Attempts per request, including the first' },
+  { path: 'retry.rateLimitDelaysMs', flag: '--rate-limit-delays', env: 'GEMINI_PROXY_RATE_LIMIT_DELAYS_MS', type: 'integerList', description: 'Comma-separated 429 backoff delays (ms)' },
+  { path: 'retry.unavailableRetries', flag: '--unavailable-retries', env: 'GEMINI_PROXY_UNAVAILABLE_RETRIES', type: 'integer', description: 'Retries for 503 responses' },
+  { path: 'retry.unavailableBaseDelayMs', flag: '--unavailable-base-delay', env: 'GEMINI_PROXY_UNAVAILABLE_BASE_DELAY_MS', type: 'integer', description: 'Base 503 backoff delay, doubled per retry (ms)' },
+  { path: 'retry.errorBaseDelayMs', flag: '--error-base-delay', env: 'GEMINI_PROXY_ERROR_BASE_DELAY_MS', type: 'integer', description: 'Base network error backoff delay, doubled per retry (ms)' },
+  { path: 'signatures.ttlMs', flag: '--signature-ttl', env: 'GEMINI_PROXY_SIGNATURE_TTL_MS', type: 'integer', description: 'Thought signature lifetime (ms)' },
+  { path: 'signatures.maxPerConversation', flag: '--max-signatures', env: 'GEMINI_PROXY_MAX_SIGNATURES', type: 'integer', description: 'Thought signatures kept per conversation' },
+  { path: 'signatures.storeFile', flag: '--signature-store', env: 'GEMINI_PROXY_SIGNATURE_STORE', type: 'path', description: 'File to persist thought signatures in' },
+  { path: 'models.aliases', flag: '--model-aliases', env: 'GEMINI_PROXY_MODEL_ALIASES', type: 'stringMap', description: 'Model aliases, e.g. "pro=gemini-3-pro-preview"' },
+  { path: 'models.fallbacks', flag: '--model-fallbacks', env: 'GEMINI_PROXY_MODEL_FALLBACKS', type: 'listMap', description: 'Fallback chains, e.g. "gemini-3-pro-preview=gemini-2.5-pro|gemini-2.5-flash"' },
+  { path: 'keys.pool', flag: '--api-keys', env: 'GEMINI_PROXY_API_KEYS', type: 'stringList', secret: true, description: 'Comma-separated upstream API keys to rotate through' },
+  { path: 'keys.cooldownMs', flag: '--key-cooldown', env: 'GEMINI_PROXY_KEY_COOLDOWN_MS', type: 'integer', description: 'Key cooldown after a 429 without Retry-After (ms)' },
+  { path: 'keys.maxWaitMs', flag: '--key-max-wait', env: 'GEMINI_PROXY_KEY_MAX_WAIT_MS', type: 'integer', description: 'Longest wait for a cooling key to recover before returning 429 (ms)' },
+  { path: 'concurrency.maxRequests', flag: '--max-concurrent', env: 'GEMINI_PROXY_MAX_CONCURRENT', type: 'integer', description: 'Concurrent upstream requests (0: unlimited)' },
+  { path: 'concurrency.maxPerConversation', flag: '--max-concurrent-per-conversation', env: 'GEMINI_PROXY_MAX_CONCURRENT_PER_CONVERSATION', type: 'integer', description: 'Concurrent upstream requests per conversation (0: unlimited)' },
+  { path: 'concurrency.queueTimeoutMs', flag: '--queue-timeout', env: 'GEMINI_PROXY_QUEUE_TIMEOUT_MS', type: 'positiveInteger', description: 'Longest wait for a free request slot (ms)' },
+  { path: 'rateLimit.requestsPerMinute', flag: '--rpm', env: 'GEMINI_PROXY_RPM', type: 'integer', description: 'Upstream requests per minute to stay under (0: no limit)' },
+  { path: 'rateLimit.tokensPerMinute', flag: '--tpm', env: 'GEMINI_PROXY_TPM', type: 'integer', description: 'Estimated prompt tokens per minute to stay under (0: no limit)' },
+  { path: 'rateLimit.maxWaitMs', flag: '--rate-limit-max-wait', env: 'GEMINI_PROXY_RATE_LIMIT_MAX_WAIT_MS', type: 'integer', description: 'Longest rate limiter delay before answering 429 (ms)' },
+  { path: 'context.windowTokens', flag: '--context-window', env: 'GEMINI_PROXY_CONTEXT_WINDOW', type: 'positiveInteger', description: 'Context window (tokens) of models without their own entry' },
+  { path: 'context.modelWindows', flag: '--model-context-windows', env: 'GEMINI_PROXY_MODEL_CONTEXT_WINDOWS', type: 'integerMap', description: 'Context windows per model, e.g. "gemini-2.5-flash=1048576"' },
+  { path: 'context.trimPercent', flag: '--context-trim-percent', env: 'GEMINI_PROXY_CONTEXT_TRIM_PERCENT', type: 'percent', description: 'Trim old tool results above this % of the context window (0: off)' },
+  { path: 'context.keepChars', flag: '--tool-result-keep-chars', env: 'GEMINI_PROXY_TOOL_RESULT_KEEP_CHARS', type: 'integer', description: 'Characters kept at each end of a trimmed tool result' },
+  { path: 'recovery.emptyStopRetries', flag: '--empty-stop-retries', env: 'GEMINI_PROXY_EMPTY_STOP_RETRIES', type: 'integer', description: 'Retries of an empty "stop" turn after tool results (0: off)' },
+  { path: 'recovery.nudge', flag: '--empty-stop-nudge', env: 'GEMINI_PROXY_EMPTY_STOP_NUDGE', type: 'text', description: 'User message appended when retrying an empty turn' },
+  { path: 'thinking.includeThoughts', flag: '--include-thoughts', env: 'GEMINI_PROXY_INCLUDE_THOUGHTS', type: 'boolean', description: 'Return thought summaries as reasoning_content' },
+  { path: 'responses.ttlMs', flag: '--response-ttl', env: 'GEMINI_PROXY_RESPONSE_TTL_MS', type: 'positiveInteger', description: 'How long stored /v1/responses results can be continued (ms)' },
+  { path: 'responses.maxStored', flag: '--max-stored-responses', env: 'GEMINI_PROXY_MAX_STORED_RESPONSES', type: 'positiveInteger', description: 'Stored /v1/responses results for previous_response_id' },
+  { path: 'recording.recordDir', flag: '--record', env: 'GEMINI_PROXY_RECORD_DIR', type: 'path', description: 'Directory to record upstream exchanges in' },
+  { path: 'recording.replayDir', flag: '--replay', env: 'GEMINI_PROXY_REPLAY_DIR', type: 'path', description: 'Directory of recorded exchanges to serve instead of Gemini' },
+  { path: 'logging.level', flag: '--log-level', env: 'GEMINI_PROXY_LOG_LEVEL', type: 'logLevel', description: 'Log level: debug, info, warn, error or silent' },
+  { path: 'logging.format', flag: '--log-format', env: 'GEMINI_PROXY_LOG_FORMAT', type: 'logFormat', description: 'Log output: text or json (JSON lines)' },
+  { path: 'logging.redactContent', flag: '--redact-content', env: 'GEMINI_PROXY_REDACT_CONTENT', type: 'boolean', description: 'Mask message content and tool arguments in logs' },
+  { path: 'schema.maxRefDepth', flag: '--max-ref-depth', env: 'GEMINI_PROXY_MAX_REF_DEPTH', type: 'integer', description: 'Expansions of a recursive $ref before truncation' }
+];
+
+// Parse a YAML scalar (quoted string, number, boolean, null or inline list)
+function parseYamlScalar(text) {
+  const value = text.trim();
+  if (value.startsWith('"')) return JSON.parse(value);
+  if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner === '' ? [] : inner.split(',').map(parseYamlScalar);
+  }
+  if (value === '{}') return {};
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null' || value === '~' || value === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+// Parse the YAML subset used by config files: nested mappings, block and
+// inline lists of scalars, comments. Anchors, multi-line strings etc. are not supported.
+function parseYamlConfig(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, idx) => {
+    // Strip comments outside of quotes
+    let line = '';
+    let quote = null;
+    for (let i = 0; i < raw.length; i++) {
+      const ch = raw[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+        break;
+      }
+      line += ch;
+    }
+    if (line.trim() === '' || line.trim() === '---') return;
+    if (/^\s*\t/.test(line)) throw new Error(`line ${idx + 1}: tabs are not allowed for indentation`);
+    lines.push({ indent: line.search(/\S/), text: line.trim(), lineNo: idx + 1 });
+  });
+
+  // Parse the block starting at lines[index] whose lines share the given indent
+  function parseBlock(index, indent) {
+    if (lines[index].text.startsWith('- ') || lines[index].text === '-') {
+      const list = [];
+      while (index < lines.length && lines[index].indent === indent && lines[index].text.startsWith('-')) {
+        list.push(parseYamlScalar(lines[index].text.substring(1)));
+        index++;
+      }
+      return [list, index];
+    }
+
+    const mapping = {};
+    while (index < lines.length && lines[index].indent === indent) {
+      const { text: lineText, lineNo } = lines[index];
+      const match = lineText.match(/^("(?:[^"\\]|\\.)*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+      if (!match) throw new Error(`line ${lineNo}: expected "key: value"`);
+
+      const key = /^["']/.test(match[1]) ? parseYamlScalar(match[1]) : match[1];
+      index++;
+
+      if (match[2] !== undefined && match[2].trim() !== '') {
+        mapping[key] = parseYamlScalar(match[2]);
+      } else if (index < lines.length && lines[index].indent > indent) {
+        [mapping[key], index] = parseBlock(index, lines[index].indent);
+      } else {
+        mapping[key] = null;
+      }
+    }
+
+    if (index < lines.length && lines[index].indent > indent) {
+      throw new Error(`line ${lines[index].lineNo}: unexpected indentation`);
+    }
+    return [mapping, index];
+  }
+
+  if (lines.length === 0) return {};
+  const [result, end] = parseBlock(0, lines[0].indent);
+  if (end < lines.length) throw new Error(`line ${lines[end].lineNo}: unexpected indentation`);
+  return result;
+}
+
+// Read a JSON or YAML config file (format chosen by extension)
+function readConfigFile(filePath) {
+  const fs = require('fs');
+  const text = fs.readFileSync(filePath, 'utf8');
+  return /\.ya?ml$/i.test(filePath) ? parseYamlConfig(text) : JSON.parse(text);
+}
+
+// Set a dotted-path setting on a config object
+function setConfigValue(config, path, value) {
+  const keys = path.split('.');
+  let target = config;
+  for (const key of keys.slice(0, -1)) target = target[key];
+  target[keys[keys.length - 1]] = value;
+}
+
+// Apply nested settings (a parsed config file or createProxy() options) onto config,
+// validating every setting; source prefixes the error messages
+function applyConfigValues(config, data, errors, source = 'config file', prefix = '') {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(`${source}: ${prefix || 'top level'} must be a mapping`);
+    return;
+  }
+
+  for (const [key, raw] of Object.entries(data)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const option = CONFIG_OPTIONS.find(o => o.path === path);
+
+    if (option) {
+      const { value, error } = CONFIG_TYPES[option.type](raw);
+      if (error) errors.push(`${source}: ${path} ${error}`);
+      else setConfigValue(config, path, value);
+    } else if (path.split('.').reduce((node, k) => node?.[k], DEFAULT_CONFIG)?.constructor === Object) {
+      applyConfigValues(config, raw, errors, source, path);
+    } else {
+      errors.push(`${source}: unknown setting "${path}"`);
+    }
+  }
+}
+
+// Settings that are valid on their own but not together
+function checkConfigConflicts(config, errors) {
+  if (config.recording.recordDir && config.recording.replayDir) {
+    errors.push('recording.recordDir and recording.replayDir cannot be used together');
+  }
+}
+
+// Defaults plus the given settings (same structure as a config file)
+// Throws listing every invalid setting
+function resolveConfig(settings = {}) {
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  const errors = [];
+  applyConfigValues(config, settings, errors, 'config');
+  checkConfigConflicts(config, errors);
+  if (errors.length > 0) throw new Error(`Invalid configuration: ${errors.join('; ')}`);
+  return config;
+}
+
+// Build the effective configuration
+// Precedence (lowest to highest): defaults, config file, environment variables, CLI flags
+// Returns {config, errors, flags}; errors lists every invalid setting
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const errors = [];
+  const flags = { printConfig: false, help: false };
+  const cliValues = [];
+  let configFile = env.GEMINI_PROXY_CONFIG || null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.indexOf('=');
+    const name = arg.startsWith('--') && eq > 0 ? arg.substring(0, eq) : arg;
+    const inlineValue = name !== arg ? arg.substring(eq + 1) : undefined;
+
+    if (name === '--help' || name === '-h') {
+      flags.help = true;
+      continue;
+    }
+    if (name === '--print-config') {
+      flags.printConfig = true;
+      continue;
+    }
+
+    const option = name === '--config' ? { flag: '--config' } : CONFIG_OPTIONS.find(o => o.flag === name);
+    if (!option) {
+      errors.push(`unknown option ${arg}`);
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      errors.push(`${name} requires a value`);
+    } else if (option.flag === '--config') {
+      configFile = value;
+    } else {
+      cliValues.push({ option, value, source: name });
+    }
+  }
+
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+
+  if (configFile) {
+    try {
+      applyConfigValues(config, readConfigFile(configFile), errors);
+    } catch (e) {
+      errors.push(`config file ${configFile}: ${e.message}`);
+    }
+  }
+
+  const overrides = [
+    ...CONFIG_OPTIONS
+      .filter(option => env[option.env] !== undefined)
+      .map(option => ({ option, value: env[option.env], source: option.env })),
+    ...cliValues
+  ];
+  for (const { option, value: raw, source } of overrides) {
+    const { value, error } = CONFIG_TYPES[option.type](raw);
+    if (error) errors.push(`${source} ${error}`);
+    else setConfigValue(config, option.path, value);
+  }
+
+  checkConfigConflicts(config, errors);
+  return { config, errors, flags };
+}
+
+// Usage text listing every setting with its flag and environment variable
+function formatConfigHelp() {
+  const lines = [
+    'Usage: node gemini-proxy.js [options]',
+    '',
+    '  --config <file>            JSON or YAML config file (env: GEMINI_PROXY_CONFIG)',
+    '  --print-config             Print the effective configuration and exit',
+    '  --help                     Show this help',
+    ''
+  ];
+  for (const option of CONFIG_OPTIONS) {
+    lines.push(`  ${`${option.flag} <value>`.padEnd(27)}${option.description}`);
+    lines.push(`  ${''.padEnd(27)}(config: ${option.path}, env: ${option.env})`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  CONFIG_TYPES,
+  CONFIG_OPTIONS,
+  parseYamlConfig,
+  readConfigFile,
+  setConfigValue,
+  applyConfigValues,
+  resolveConfig,
+  loadConfig,
+  formatConfigHelp
+};
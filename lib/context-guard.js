@@ -0,0 +1,76 @@
+/**
+ * Context-window guard: shrinks old tool results before a request outgrows the
+ * model's context window (which Gemini reports as finish_reason "length")
+ *
+ * Only the content of role "tool" messages changes. Messages are never removed
+ * or reordered, so every tool result still answers its assistant tool call
+ * (tool_call_id) and thought signatures are injected as usual.
+ */
+
+const { DEFAULT_CONFIG } = require('./config');
+const { estimateMessageTokens, estimateRequestTokens } = require('./tokens');
+
+// Context window of a model in tokens
+function contextWindowFor(model, options) {
+  const windows = options.modelWindows || {};
+  return Object.prototype.hasOwnProperty.call(windows, model) ? windows[model] : options.windowTokens;
+}
+
+// Keep the first and last keepChars characters of a text, with a marker in between
+// Returns the text unchanged if it isn't worth eliding
+function elideText(text, keepChars) {
+  const marker = count => `\n\n[... ${count} characters of earlier tool output removed by gemini-proxy ...]\n\n`;
+  const elided = text.length - 2 * keepChars;
+  if (elided <= marker(elided).length) return text;
+  return text.slice(0, keepChars) + marker(elided) + text.slice(text.length - keepChars);
+}
+
+// Elide a message content: a string or an array of parts ({type: 'text', text})
+function elideContent(content, keepChars) {
+  if (typeof content === 'string') return elideText(content, keepChars);
+  if (!Array.isArray(content)) return content;
+  return content.map(part => (typeof part?.text === 'string' ? { ...part, text: elideText(part.text, keepChars) } : part));
+}
+
+// Trim tool results, oldest first, until the request's estimated prompt fits within
+// trimPercent of the model's context window
+// The tool results after the last assistant message (the ones the model is about to
+// read) are left alone
+// options: windowTokens, modelWindows, trimPercent (0: off), keepChars
+// Returns {requestData, trimmed, tokensBefore, tokensAfter, limit}; requestData is a copy
+// when anything was trimmed
+function trimToolResults(requestData, options = {}) {
+  const settings = { ...DEFAULT_CONFIG.context, ...options };
+  const tokensBefore = estimateRequestTokens(requestData);
+  const result = { requestData, trimmed: 0, tokensBefore, tokensAfter: tokensBefore, limit: null };
+  if (!settings.trimPercent || !Array.isArray(requestData?.messages)) return result;
+
+  const limit = Math.floor(contextWindowFor(requestData.model, settings) * settings.trimPercent / 100);
+  result.limit = limit;
+  if (tokensBefore <= limit) return result;
+
+  let lastAssistant = -1;
+  requestData.messages.forEach((msg, idx) => {
+    if (msg?.role === 'assistant') lastAssistant = idx;
+  });
+
+  const messages = [...requestData.messages];
+  let tokens = tokensBefore;
+  for (let idx = 0; idx < lastAssistant && tokens > limit; idx++) {
+    const msg = messages[idx];
+    if (msg?.role !== 'tool') continue;
+
+    const content = elideContent(msg.content, settings.keepChars);
+    if (content === msg.content || JSON.stringify(content) === JSON.stringify(msg.content)) continue;
+
+    messages[idx] = { ...msg, content };
+    result.trimmed++;
+    tokens -= estimateMessageTokens(msg) - estimateMessageTokens(messages[idx]);
+  }
+
+  if (result.trimmed > 0) result.requestData = { ...requestData, messages };
+  result.tokensAfter = tokens;
+  return result;
+}
+
+module.exports = { trimToolResults, elideText };
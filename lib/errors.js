@@ -0,0 +1,32 @@
+/**
+ * Error format conversion (Gemini -> OpenAI)
+ */
+
+// Convert Gemini error format to OpenAI format
+function convertGeminiErrorToOpenAI(responseData) {
+  try {
+    const data = JSON.parse(responseData.toString());
+
+    // Check if this is a Gemini error format: {error: {code, message, status}}
+    if (data.error && typeof data.error === 'object') {
+      const geminiError = data.error;
+
+      // Convert to OpenAI format: {error: {message, type, code}}
+      return JSON.stringify({
+        error: {
+          message: geminiError.message || 'Unknown error',
+          type: geminiError.status || 'api_error',
+          code: geminiError.code || null
+        }
+      });
+    }
+
+    // Already in correct format or not an error, return as-is
+    return responseData.toString();
+  } catch (e) {
+    // Not valid JSON, return as-is
+    return responseData.toString();
+  }
+}
+
+module.exports = { convertGeminiErrorToOpenAI };
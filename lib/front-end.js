@@ -0,0 +1,109 @@
+/**
+ * Client API front ends: requests in another dialect are lowered to chat
+ * completions before the usual sanitizing, signing and retrying, and the
+ * chat completion responses (buffered or streamed) are translated back
+ */
+
+const zlib = require('zlib');
+const { createSSEParser, serializeSSEEvent } = require('./sse');
+const { headersForBody } = require('./headers');
+
+// Upstream path of the translated requests (Gemini's OpenAI compatibility layer)
+const CHAT_COMPLETIONS_PATH = '/v1beta/openai/chat/completions';
+
+// Parsed JSON body, or null
+function parseJSON(buffer) {
+  try {
+    return JSON.parse(buffer.toString());
+  } catch (e) {
+    return null;
+  }
+}
+
+// Stand-in for the client response that the proxy writes chat completions to
+// translator:
+//   body(data)              chat completion -> response object
+//   error(data, statusCode) {error} body (OpenAI format, may be null) -> error object
+//   stream()                returns {push(chunk) -> events, end(complete) -> events} for
+//                           chat.completion.chunk data; complete is false when the stream
+//                           broke off before [DONE]
+// Provides what the proxy uses: writeHead, write, addTrailers, end and headersSent
+function createTranslatingResponse(clientRes, translator) {
+  let statusCode = 200;
+  let headers = {};
+  let gzipped = false;
+  const body = [];
+  // Parser and translator of a successful event stream
+  let stream = null;
+  let done = false;
+
+  const writeEvents = events => events.forEach(event => clientRes.write(serializeSSEEvent(event)));
+
+  function handleEvents(events) {
+    for (const event of events) {
+      if (event.data === undefined) {
+        // Keep-alive comments pass through
+        clientRes.write(serializeSSEEvent(event));
+      } else if (event.data === '[DONE]') {
+        done = true;
+      } else {
+        const data = parseJSON(event.data);
+        if (data?.error) writeEvents(stream.translator.push({ error: data.error }));
+        else if (data) writeEvents(stream.translator.push(data));
+      }
+    }
+  }
+
+  return {
+    get headersSent() {
+      return clientRes.headersSent;
+    },
+
+    writeHead(status, head = {}) {
+      statusCode = status;
+      headers = { ...head };
+      gzipped = headers['content-encoding'] === 'gzip';
+      delete headers['content-length'];
+      delete headers['content-encoding'];
+
+      if (status >= 200 && status < 300 && /text\/event-stream/.test(headers['content-type'] || '')) {
+        stream = { parser: createSSEParser(), translator: translator.stream() };
+        clientRes.writeHead(status, headers);
+      }
+      return this;
+    },
+
+    write(chunk) {
+      if (stream) handleEvents(stream.parser.push(chunk));
+      else body.push(Buffer.from(chunk));
+      return true;
+    },
+
+    // Trailers (streamed tool call errors) pass through to the translated stream
+    addTrailers(trailers) {
+      clientRes.addTrailers(trailers);
+    },
+
+    end(chunk) {
+      if (chunk !== undefined) this.write(chunk);
+
+      if (stream) {
+        handleEvents(stream.parser.end());
+        writeEvents(stream.translator.end(done));
+        clientRes.end();
+        return;
+      }
+
+      let data = Buffer.concat(body);
+      if (gzipped) data = zlib.gunzipSync(data);
+      const parsed = parseJSON(data);
+      const translated = statusCode >= 400 ? translator.error(parsed, statusCode) : parsed && translator.body(parsed);
+      const text = translated ? JSON.stringify(translated) : data;
+
+      clientRes.writeHead(statusCode, headersForBody({ ...headers, 'content-type': 'application/json' }, text));
+      clientRes.end(text);
+    }
+  };
+}
+
+module.exports = { CHAT_COMPLETIONS_PATH, createTranslatingResponse };
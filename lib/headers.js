@@ -0,0 +1,20 @@
+/**
+ * Response headers for bodies the proxy rewrites: the upstream framing headers
+ * describe the original body and must not reach the client with the new one
+ */
+
+// Hop-by-hop headers (they describe the upstream connection, not the body)
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding'];
+
+// Headers for a decoded, re-serialized body: hop-by-hop headers and content-encoding
+// are removed and content-length matches the new body
+// (content-length together with transfer-encoding is invalid HTTP that strict clients reject)
+function headersForBody(headers, body) {
+  const result = { ...headers };
+  for (const name of HOP_BY_HOP_HEADERS) delete result[name];
+  delete result['content-encoding'];
+  result['content-length'] = Buffer.byteLength(body);
+  return result;
+}
+
+module.exports = { headersForBody };
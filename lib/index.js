@@ -0,0 +1,70 @@
+/**
+ * Public API
+ *
+ * createProxy() builds a complete proxy server. The transforms it is made of
+ * are exported too, so they can be used (and tested) on their own.
+ */
+
+const { createProxy } = require('./proxy');
+const { DEFAULT_CONFIG, loadConfig, resolveConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { createMemorySignatureStore, createFileSignatureStore } = require('./signature-store');
+const { createNetworkTransport, createRecordingTransport, createReplayTransport } = require('./transport');
+const { createNativeTransport, toNativeRequest, fromNativeResponse } = require('./native');
+const { fromMessagesRequest, toMessagesResponse } = require('./anthropic');
+const { createResponseStore, fromResponsesRequest } = require('./responses');
+const { sanitizeSchema, sanitizeTools, sanitizeResponseFormat } = require('./schema');
+const { parseToolArguments, checkToolCalls, repairResponseToolCalls } = require('./tool-calls');
+const { generateConversationId, extractThoughtSignatures, injectThoughtSignatures } = require('./signatures');
+const { convertGeminiErrorToOpenAI } = require('./errors');
+const { createSSEParser, serializeSSEEvent, createStreamProcessor } = require('./sse');
+const { estimateRequestTokens } = require('./tokens');
+const { trimToolResults } = require('./context-guard');
+const { thinkingConfigFor, applyThinking, splitThoughts } = require('./thinking');
+const { checkStructuredOutput } = require('./structured-output');
+
+module.exports = {
+  // Server
+  createProxy,
+
+  // Configuration
+  DEFAULT_CONFIG,
+  loadConfig,
+  resolveConfig,
+
+  // Building blocks injectable into createProxy()
+  createLogger,
+  createMemorySignatureStore,
+  createFileSignatureStore,
+  createNetworkTransport,
+  createRecordingTransport,
+  createReplayTransport,
+  createNativeTransport,
+  createResponseStore,
+
+  // Pure transforms
+  sanitizeSchema,
+  sanitizeTools,
+  sanitizeResponseFormat,
+  parseToolArguments,
+  checkToolCalls,
+  repairResponseToolCalls,
+  checkStructuredOutput,
+  generateConversationId,
+  extractThoughtSignatures,
+  injectThoughtSignatures,
+  convertGeminiErrorToOpenAI,
+  toNativeRequest,
+  fromNativeResponse,
+  fromMessagesRequest,
+  toMessagesResponse,
+  fromResponsesRequest,
+  createSSEParser,
+  serializeSSEEvent,
+  createStreamProcessor,
+  estimateRequestTokens,
+  trimToolResults,
+  thinkingConfigFor,
+  applyThinking,
+  splitThoughts
+};
@@ -0,0 +1,97 @@
+/**
+ * Upstream API key pool with per-key 429 cooldown
+ */
+
+const { logger, maskApiKey } = require('./logger');
+const { DEFAULT_CONFIG } = require('./config');
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Pool of upstream API keys, each throttled independently by Gemini
+// A key that returns 429 cools down (for Retry-After, or cooldownMs) while
+// requests move on to the other keys
+function createKeyPool(keys, options = {}) {
+  const cooldownMs = options.cooldownMs ?? DEFAULT_CONFIG.keys.cooldownMs;
+  const entries = keys.map(key => ({
+    key,
+    label: maskApiKey(key),
+    cooldownUntil: 0,
+    lastUsed: 0,
+    requests: 0,
+    rateLimited: 0,
+    errors: 0,
+    lastStatus: null
+  }));
+
+  return {
+    get size() {
+      return entries.length;
+    },
+
+    // Number of keys not cooling down
+    available(now = Date.now()) {
+      return entries.filter(entry => entry.cooldownUntil <= now).length;
+    },
+
+    // Time until a key is available again (0: one is available now, or there are no keys)
+    recoveryMs(now = Date.now()) {
+      if (entries.length === 0) return 0;
+      return Math.max(0, Math.min(...entries.map(entry => entry.cooldownUntil)) - now);
+    },
+
+    // Pick the least recently used key that isn't cooling down
+    // If all are cooling down, the one that recovers first (callers wait for recoveryMs() first)
+    acquire(now = Date.now()) {
+      if (entries.length === 0) return null;
+
+      const ready = entries.filter(entry => entry.cooldownUntil <= now);
+      const entry = ready.length > 0
+        ? ready.reduce((a, b) => (b.lastUsed < a.lastUsed ? b : a))
+        : entries.reduce((a, b) => (b.cooldownUntil < a.cooldownUntil ? b : a));
+
+      entry.lastUsed = now;
+      entry.requests++;
+      return entry;
+    },
+
+    // Put a key on cooldown after a 429
+    markRateLimited(entry, retryAfterMs, now = Date.now()) {
+      entry.rateLimited++;
+      entry.lastStatus = 429;
+      entry.cooldownUntil = now + (retryAfterMs ?? cooldownMs);
+
+      const ready = entries.filter(e => e.cooldownUntil <= now).length;
+      logger.info(`Key ${entry.label} cooling down for ${Math.round((entry.cooldownUntil - now) / 1000)}s`, { keysAvailable: ready, keys: entries.length });
+    },
+
+    // Record the outcome of a request made with a key
+    markResult(entry, statusCode) {
+      entry.lastStatus = statusCode;
+      if (statusCode === 401 || statusCode === 403) entry.errors++;
+    },
+
+    // Per-key health report (keys are masked)
+    health(now = Date.now()) {
+      return entries.map(entry => ({
+        key: entry.label,
+        status: entry.cooldownUntil > now ? 'cooldown' : 'available',
+        cooldownRemainingMs: Math.max(0, entry.cooldownUntil - now),
+        requests: entry.requests,
+        rateLimited: entry.rateLimited,
+        authErrors: entry.errors,
+        lastStatus: entry.lastStatus
+      }));
+    }
+  };
+}
+
+module.exports = {
+  parseRetryAfter,
+  createKeyPool
+};
@@ -0,0 +1,112 @@
+/**
+ * Logging: leveled text or JSON-lines logger, per-request context (request ID,
+ * conversation ID) and redaction of credentials and conversation content
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Log levels by severity (logging.level filters out everything below it)
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Per-request context: {requestId, conversationId, logger} for log correlation,
+// plus per-request state of the upstream transports (originalBody, upstreamAttempts)
+// Follows callbacks and promises started while the request is handled
+const requestContext = new AsyncLocalStorage();
+
+// Log field names whose values are credentials - always masked
+const SECRET_FIELD_PATTERN = /^(authorization|proxy-authorization|x-goog-api-key|api[-_]?keys?|keys?)$/i;
+
+// Log field names holding conversation content - masked with logging.redactContent
+const CONTENT_FIELD_PATTERN = /^(content|contents|text|parts|messages|arguments|args|body)$/i;
+
+// Mask credentials embedded in free text: Google API keys, bearer tokens, ?key= parameters
+function redactSecrets(text) {
+  return text
+    .replace(/([?&]key=)([^&\s"']+)/gi, (match, prefix, key) => prefix + maskApiKey(key))
+    .replace(/(Bearer\s+)([^\s"',]+)/gi, (match, prefix, token) => prefix + maskApiKey(token))
+    .replace(/AIza[0-9A-Za-z_-]{20,}/g, key => maskApiKey(key));
+}
+
+// Leveled logger writing text lines or JSON lines (one object per line)
+// Every line carries the current request ID and conversation ID from requestContext
+// Secrets are always redacted; message content only with redactContent
+function createLogger(options = {}) {
+  const threshold = LOG_LEVELS[options.level || 'info'];
+  const json = options.format === 'json';
+  const redactContent = options.redactContent === true;
+  const write = options.write || ((level, line) => {
+    (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+  });
+
+  function redactField(value, name = '') {
+    if (redactContent && CONTENT_FIELD_PATTERN.test(name) && value !== null && value !== undefined) {
+      return typeof value === 'string' ? `[redacted ${value.length} chars]` : '[redacted]';
+    }
+    if (typeof value === 'string') {
+      if (!SECRET_FIELD_PATTERN.test(name)) return redactSecrets(value);
+      // Keep the auth scheme ("Bearer …") readable
+      const [, scheme = '', secret] = value.match(/^(\w+\s+)?(.*)$/s);
+      return scheme + maskApiKey(secret);
+    }
+    if (Array.isArray(value)) return value.map(item => redactField(item, name));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactField(item, key)]));
+    }
+    return value;
+  }
+
+  function log(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < threshold) return;
+
+    const { requestId, conversationId } = requestContext.getStore() || {};
+    const safeFields = redactField(fields);
+    const msg = redactSecrets(message);
+
+    if (json) {
+      write(level, JSON.stringify({ time: new Date().toISOString(), level, msg, requestId, conversationId, ...safeFields }));
+      return;
+    }
+
+    const details = Object.entries(safeFields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    write(level, ['[Proxy]', level.toUpperCase(), requestId && `[${requestId}]`, msg, ...details].filter(Boolean).join(' '));
+  }
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields)
+  };
+}
+
+// Mask an API key for logs and health reports (first and last 4 characters)
+function maskApiKey(key) {
+  return key.length > 12 ? `${key.substring(0, 4)}…${key.substring(key.length - 4)}` : '****';
+}
+
+// Logger used when no request is being handled (startup, stores), replaceable by the CLI
+let defaultLogger = createLogger();
+
+function setDefaultLogger(newLogger) {
+  defaultLogger = newLogger;
+}
+
+// Logger for shared code: the current request's proxy logger, else the default one
+const logger = {
+  debug: (message, fields) => (requestContext.getStore()?.logger || defaultLogger).debug(message, fields),
+  info: (message, fields) => (requestContext.getStore()?.logger || defaultLogger).info(message, fields),
+  warn: (message, fields) => (requestContext.getStore()?.logger || defaultLogger).warn(message, fields),
+  error: (message, fields) => (requestContext.getStore()?.logger || defaultLogger).error(message, fields)
+};
+
+module.exports = {
+  LOG_LEVELS,
+  requestContext,
+  maskApiKey,
+  redactSecrets,
+  createLogger,
+  setDefaultLogger,
+  logger
+};
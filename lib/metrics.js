@@ -0,0 +1,89 @@
+/**
+ * Minimal Prometheus metrics (text exposition format)
+ */
+
+// Minimal Prometheus metrics registry: counters, gauges and histograms with labels
+function createMetrics() {
+  const registry = new Map();
+
+  function define(type, name, help, extra = {}) {
+    if (!registry.has(name)) {
+      registry.set(name, { type, name, help, series: new Map(), ...extra });
+    }
+    return registry.get(name);
+  }
+
+  // Series are keyed by their label set
+  function seriesFor(metric, labels, init) {
+    const key = JSON.stringify(Object.entries(labels).sort());
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+    return metric.series.get(key);
+  }
+
+  function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+      .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  return {
+    counter(name, help) {
+      const metric = define('counter', name, help);
+      return {
+        inc(labels = {}, value = 1) {
+          seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+        }
+      };
+    },
+
+    // Gauges are read at scrape time: collect() returns [{labels, value}]
+    gauge(name, help, collect) {
+      define('gauge', name, help, { collect });
+    },
+
+    histogram(name, help, buckets) {
+      const metric = define('histogram', name, help, { buckets });
+      return {
+        observe(labels, value) {
+          const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((bound, idx) => {
+            if (value <= bound) series.counts[idx]++;
+          });
+          series.sum += value;
+          series.count++;
+        }
+      };
+    },
+
+    // Prometheus text exposition format
+    render() {
+      const lines = [];
+      for (const metric of registry.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        if (metric.type === 'gauge') {
+          for (const { labels, value } of metric.collect()) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+          }
+        } else if (metric.type === 'counter') {
+          for (const { labels, value } of metric.series.values()) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+          }
+        } else {
+          for (const { labels, counts, sum, count } of metric.series.values()) {
+            metric.buckets.forEach((bound, idx) => {
+              lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[idx]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+          }
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,434 @@
+/**
+ * Native Gemini API upstream: chat completions are translated to
+ * models/{model}:generateContent and :streamGenerateContent calls, and the native
+ * candidates back to chat completions and SSE chunks
+ *
+ * The translation happens in a transport wrapper, so the rest of the proxy
+ * (retries, signatures, finish_reason fix, recovery) sees the OpenAI dialect it
+ * already speaks. Signatures travel as thoughtSignature on the native parts.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { logger } = require('./logger');
+const { createSSEParser, serializeSSEEvent } = require('./sse');
+
+// Native finishReason -> OpenAI finish_reason
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter'
+};
+
+// snake_case keys (extra_body.google settings) -> camelCase (native API), recursively
+function camelCaseKeys(value) {
+  if (Array.isArray(value)) return value.map(camelCaseKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+    camelCaseKeys(item)
+  ]));
+}
+
+const signatureOf = part => part?.extra_content?.google?.thought_signature;
+
+// Text of an OpenAI content value (string or parts)
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(part => (typeof part?.text === 'string' ? part.text : '')).join('');
+}
+
+// OpenAI user content -> native parts (text, images/audio as inlineData, URLs as fileData)
+function userParts(content) {
+  if (typeof content === 'string') return [{ text: content }];
+  if (!Array.isArray(content)) return [];
+  return content.map(part => {
+    if (part?.type === 'text') return { text: part.text };
+    if (part?.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const dataUrl = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+      return dataUrl ? { inlineData: { mimeType: dataUrl[1], data: dataUrl[2] } } : { fileData: { fileUri: url } };
+    }
+    if (part?.type === 'input_audio') {
+      return { inlineData: { mimeType: `audio/${part.input_audio?.format || 'wav'}`, data: part.input_audio?.data } };
+    }
+    return { text: JSON.stringify(part) };
+  });
+}
+
+// Tool result content -> functionResponse.response (must be an object)
+function functionResponseOf(content) {
+  const text = contentText(content);
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (e) {
+    // Plain text result
+  }
+  return { result: text };
+}
+
+// OpenAI tool_choice -> native toolConfig
+function toolConfigOf(toolChoice) {
+  if (toolChoice === 'none') return { functionCallingConfig: { mode: 'NONE' } };
+  if (toolChoice === 'required') return { functionCallingConfig: { mode: 'ANY' } };
+  if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+  }
+  return toolChoice === 'auto' ? { functionCallingConfig: { mode: 'AUTO' } } : undefined;
+}
+
+// Chat completion request -> native GenerateContentRequest
+function toNativeRequest(requestData) {
+  const systemParts = [];
+  const contents = [];
+  const toolNames = new Map();
+
+  for (const msg of requestData.messages || []) {
+    if (msg?.role === 'system' || msg?.role === 'developer') {
+      const text = contentText(msg.content);
+      if (text) systemParts.push({ text });
+    } else if (msg?.role === 'assistant') {
+      const parts = [];
+      const text = contentText(msg.content);
+      const textSignature = signatureOf(msg);
+      if (text || textSignature) parts.push(textSignature ? { text, thoughtSignature: textSignature } : { text });
+
+      for (const toolCall of msg.tool_calls || []) {
+        toolNames.set(toolCall.id, toolCall.function?.name);
+        let args = {};
+        try {
+          args = JSON.parse(toolCall.function?.arguments || '{}');
+        } catch (e) {
+          logger.warn(`Tool call ${toolCall.id} has invalid JSON arguments - sending {}`);
+        }
+        const part = { functionCall: { name: toolCall.function?.name, args } };
+        if (signatureOf(toolCall)) part.thoughtSignature = signatureOf(toolCall);
+        parts.push(part);
+      }
+      if (parts.length > 0) contents.push({ role: 'model', parts });
+    } else if (msg?.role === 'tool') {
+      const part = {
+        functionResponse: { name: toolNames.get(msg.tool_call_id) || msg.name || 'unknown', response: functionResponseOf(msg.content) }
+      };
+
+      // Results of parallel tool calls form one turn
+      const last = contents[contents.length - 1];
+      if (last?.role === 'user' && last.parts.every(p => p.functionResponse)) last.parts.push(part);
+      else contents.push({ role: 'user', parts: [part] });
+    } else if (msg) {
+      contents.push({ role: 'user', parts: userParts(msg.content) });
+    }
+  }
+
+  const native = { contents };
+  if (systemParts.length > 0) native.systemInstruction = { parts: systemParts };
+
+  if (Array.isArray(requestData.tools) && requestData.tools.length > 0) {
+    native.tools = [{
+      functionDeclarations: requestData.tools.map(tool => ({
+        name: tool.function?.name,
+        description: tool.function?.description,
+        parameters: tool.function?.parameters
+      }))
+    }];
+  }
+  const toolConfig = toolConfigOf(requestData.tool_choice);
+  if (toolConfig) native.toolConfig = toolConfig;
+
+  const generationConfig = {};
+  const maxTokens = requestData.max_completion_tokens ?? requestData.max_tokens;
+  if (maxTokens !== undefined) generationConfig.maxOutputTokens = maxTokens;
+  if (requestData.temperature !== undefined) generationConfig.temperature = requestData.temperature;
+  if (requestData.top_p !== undefined) generationConfig.topP = requestData.top_p;
+  if (requestData.n !== undefined) generationConfig.candidateCount = requestData.n;
+  if (requestData.seed !== undefined) generationConfig.seed = requestData.seed;
+  if (requestData.presence_penalty !== undefined) generationConfig.presencePenalty = requestData.presence_penalty;
+  if (requestData.frequency_penalty !== undefined) generationConfig.frequencyPenalty = requestData.frequency_penalty;
+  if (requestData.stop !== undefined) generationConfig.stopSequences = [].concat(requestData.stop);
+  if (requestData.response_format?.type === 'json_object') generationConfig.responseMimeType = 'application/json';
+  if (requestData.response_format?.type === 'json_schema') {
+    generationConfig.responseMimeType = 'application/json';
+    generationConfig.responseSchema = requestData.response_format.json_schema?.schema;
+  }
+
+  // Settings only the native API understands, passed the way the compatibility layer takes them:
+  // extra_body.google.{thinking_config, safety_settings, cached_content}
+  const google = requestData.extra_body?.google || {};
+  if (google.thinking_config) generationConfig.thinkingConfig = camelCaseKeys(google.thinking_config);
+  if (google.safety_settings) native.safetySettings = camelCaseKeys(google.safety_settings);
+  if (google.cached_content) native.cachedContent = google.cached_content;
+
+  if (Object.keys(generationConfig).length > 0) native.generationConfig = generationConfig;
+  return native;
+}
+
+// usageMetadata -> usage
+function usageOf(usageMetadata) {
+  if (!usageMetadata) return undefined;
+  const completionTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+  return {
+    prompt_tokens: usageMetadata.promptTokenCount || 0,
+    completion_tokens: completionTokens,
+    total_tokens: usageMetadata.totalTokenCount || (usageMetadata.promptTokenCount || 0) + completionTokens
+  };
+}
+
+// Native parts -> {content, reasoning, toolCalls, textSignature}
+// Thought summaries (thought: true) become reasoning, not part of the answer
+function convertParts(parts, toolCallIndex) {
+  let content = '';
+  let reasoning = '';
+  let textSignature = null;
+  const toolCalls = [];
+
+  for (const part of parts || []) {
+    if (part.functionCall) {
+      const toolCall = {
+        index: toolCallIndex + toolCalls.length,
+        id: part.functionCall.id || `call_${crypto.randomBytes(12).toString('hex')}`,
+        type: 'function',
+        function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+      };
+      if (part.thoughtSignature) toolCall.extra_content = { google: { thought_signature: part.thoughtSignature } };
+      toolCalls.push(toolCall);
+      continue;
+    }
+    if (typeof part.text === 'string') {
+      if (part.thought) reasoning += part.text;
+      else content += part.text;
+    }
+    if (part.thoughtSignature) textSignature = part.thoughtSignature;
+  }
+
+  return { content, reasoning, toolCalls, textSignature };
+}
+
+// Native finish reason for a candidate that did or didn't call tools
+function finishReasonOf(candidate, hasToolCalls) {
+  if (!candidate.finishReason) return null;
+  if (hasToolCalls && candidate.finishReason === 'STOP') return 'tool_calls';
+  return FINISH_REASONS[candidate.finishReason] || 'stop';
+}
+
+// Native GenerateContentResponse -> chat completion
+function fromNativeResponse(data, model) {
+  const candidates = data.candidates || [];
+  const choices = candidates.map((candidate, idx) => {
+    const { content, reasoning, toolCalls, textSignature } = convertParts(candidate.content?.parts, 0);
+    const message = { role: 'assistant', content: content || (toolCalls.length > 0 ? null : '') };
+    if (reasoning) message.reasoning_content = reasoning;
+    if (textSignature) message.extra_content = { google: { thought_signature: textSignature } };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls.map(({ index, ...toolCall }) => toolCall);
+    return { index: candidate.index ?? idx, message, finish_reason: finishReasonOf(candidate, toolCalls.length > 0) || 'stop' };
+  });
+
+  // Prompt blocked before any candidate was generated
+  if (choices.length === 0 && data.promptFeedback?.blockReason) {
+    choices.push({ index: 0, message: { role: 'assistant', content: '' }, finish_reason: 'content_filter' });
+  }
+
+  return {
+    id: `chatcmpl-${data.responseId || crypto.randomBytes(12).toString('hex')}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: data.modelVersion || model,
+    choices,
+    usage: usageOf(data.usageMetadata)
+  };
+}
+
+// Translate streamed native chunks into chat.completion.chunk events
+// push(data) takes one parsed native chunk and returns SSE events; end() returns the final [DONE]
+function createNativeStreamTranslator(model) {
+  const id = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+  const created = Math.floor(Date.now() / 1000);
+  // Per candidate: whether the role was sent and how many tool calls so far
+  const candidates = new Map();
+
+  return {
+    push(data) {
+      const events = [];
+      for (const [idx, candidate] of (data.candidates || []).entries()) {
+        const index = candidate.index ?? idx;
+        const state = candidates.get(index) || { started: false, toolCalls: 0 };
+        candidates.set(index, state);
+
+        const { content, reasoning, toolCalls, textSignature } = convertParts(candidate.content?.parts, state.toolCalls);
+        state.toolCalls += toolCalls.length;
+
+        const delta = {};
+        if (!state.started) {
+          delta.role = 'assistant';
+          state.started = true;
+        }
+        if (reasoning) delta.reasoning_content = reasoning;
+        if (content) delta.content = content;
+        if (textSignature) delta.extra_content = { google: { thought_signature: textSignature } };
+        if (toolCalls.length > 0) delta.tool_calls = toolCalls;
+
+        const chunk = {
+          id,
+          object: 'chat.completion.chunk',
+          created,
+          model: data.modelVersion || model,
+          choices: [{ index, delta, finish_reason: finishReasonOf(candidate, state.toolCalls > 0) }]
+        };
+        if (candidate.finishReason && data.usageMetadata) chunk.usage = usageOf(data.usageMetadata);
+        events.push({ data: JSON.stringify(chunk) });
+      }
+      return events;
+    },
+
+    end() {
+      return [{ data: '[DONE]' }];
+    }
+  };
+}
+
+// Native path for a chat completions request, keeping the query string (e.g. ?key=)
+function nativePath(path, model, stream) {
+  const [, query] = path.split(/\?(.*)/s);
+  const method = stream ? 'streamGenerateContent' : 'generateContent';
+  const params = new URLSearchParams(query || '');
+  if (stream) params.set('alt', 'sse');
+  const search = params.toString();
+  return `/v1beta/models/${encodeURIComponent(model.replace(/^models\//, ''))}:${method}${search ? `?${search}` : ''}`;
+}
+
+// Convert a native response into the OpenAI dialect
+// Error statuses are left alone: their {error} body already has the shape the proxy converts
+function translateResponse(res, model, stream) {
+  if (res.statusCode < 200 || res.statusCode >= 300) return res;
+
+  const source = res.headers['content-encoding'] === 'gzip' ? res.pipe(zlib.createGunzip()) : res;
+  const out = new PassThrough();
+  out.statusCode = res.statusCode;
+  out.headers = { ...res.headers, 'content-type': stream ? 'text/event-stream' : 'application/json' };
+  delete out.headers['content-encoding'];
+  delete out.headers['content-length'];
+
+  res.on('error', error => out.destroy(error));
+  source.on('error', error => out.destroy(error));
+
+  if (stream) {
+    const parser = createSSEParser();
+    const translator = createNativeStreamTranslator(model);
+    const forward = events => {
+      for (const event of events) {
+        if (event.data === undefined) continue;
+        try {
+          const data = JSON.parse(event.data);
+          // Mid-stream {error} events keep their shape - the proxy detects and logs them
+          if (data.error) out.write(serializeSSEEvent(event));
+          else translator.push(data).forEach(chunk => out.write(serializeSSEEvent(chunk)));
+        } catch (e) {
+          logger.warn('Non-JSON native stream event dropped', { error: e.message });
+        }
+      }
+    };
+    source.on('data', chunk => forward(parser.push(chunk)));
+    source.on('end', () => {
+      forward(parser.end());
+      translator.end().forEach(chunk => out.write(serializeSSEEvent(chunk)));
+      out.end();
+    });
+  } else {
+    const body = [];
+    source.on('data', chunk => body.push(chunk));
+    source.on('end', () => {
+      const text = Buffer.concat(body).toString();
+      try {
+        out.end(JSON.stringify(fromNativeResponse(JSON.parse(text), model)));
+      } catch (e) {
+        logger.error('Error converting native response', { error: e.message });
+        out.end(text);
+      }
+    });
+  }
+  return out;
+}
+
+// Transport speaking the native API upstream and the OpenAI dialect to the proxy
+// POST .../chat/completions requests are translated; anything else passes through
+function createNativeTransport(transport) {
+  return {
+    request(options, onResponse) {
+      const req = new EventEmitter();
+      const written = [];
+      let upstreamReq = null;
+      let destroyed = false;
+      let timeout = null;
+
+      req.write = chunk => {
+        written.push(Buffer.from(chunk));
+        return true;
+      };
+      req.setTimeout = (ms, callback) => {
+        timeout = [ms, callback];
+        if (upstreamReq) upstreamReq.setTimeout(ms, callback);
+        return req;
+      };
+      req.destroy = error => {
+        destroyed = true;
+        if (upstreamReq) upstreamReq.destroy(error);
+        return req;
+      };
+
+      req.end = () => {
+        if (destroyed) return req;
+        let body = Buffer.concat(written);
+        let upstreamOptions = options;
+        let handleResponse = onResponse;
+
+        let requestData = null;
+        if (options.method === 'POST' && options.path.split('?')[0].endsWith('/chat/completions')) {
+          try {
+            requestData = JSON.parse(body.toString());
+          } catch (e) {
+            // Not JSON - forwarded unchanged
+          }
+        }
+
+        if (requestData && typeof requestData.model === 'string') {
+          const stream = requestData.stream === true;
+          body = Buffer.from(JSON.stringify(toNativeRequest(requestData)));
+
+          // The native API takes the key as x-goog-api-key rather than a bearer token
+          const headers = { ...options.headers, 'content-type': 'application/json', 'content-length': body.length };
+          const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+          if (bearer) {
+            headers['x-goog-api-key'] = bearer[1];
+            delete headers.authorization;
+          }
+          upstreamOptions = { ...options, path: nativePath(options.path, requestData.model, stream), headers };
+          handleResponse = res => onResponse(translateResponse(res, requestData.model, stream));
+        }
+
+        upstreamReq = transport.request(upstreamOptions, handleResponse);
+        if (timeout) upstreamReq.setTimeout(...timeout);
+        upstreamReq.on('error', error => req.emit('error', error));
+        upstreamReq.write(body);
+        upstreamReq.end();
+        return req;
+      };
+
+      return req;
+    }
+  };
+}
+
+module.exports = {
+  toNativeRequest,
+  fromNativeResponse,
+  createNativeStreamTranslator,
+  createNativeTransport
+};
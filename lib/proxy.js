@@ -0,0 +1,1014 @@
+/**
+ * The proxy server: createProxy() wires sanitization, signature handling, retries,
+ * key rotation, model fallback, concurrency limits and the /_proxy/ endpoints into an http.Server
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { AsyncResource } = require('async_hooks');
+const { resolveConfig } = require('./config');
+const { requestContext, createLogger } = require('./logger');
+const { createSignatureStore } = require('./signature-store');
+const { createKeyPool, parseRetryAfter } = require('./keys');
+const { createConcurrencyLimiter } = require('./concurrency');
+const { createRateLimiter } = require('./rate-limiter');
+const { estimateRequestTokens } = require('./tokens');
+const { trimToolResults } = require('./context-guard');
+const { hasToolResults, isEmptyStopStream, isEmptyStopResponse, addContinuationNudge } = require('./recovery');
+const { createMetrics } = require('./metrics');
+const { sanitizeTools, sanitizeResponseFormat } = require('./schema');
+const { responseSchemaOf, repairStructuredOutput, structuredOutputError } = require('./structured-output');
+const { checkToolCalls, logToolCallReports, repairResponseToolCalls, formatToolCallErrorsHeader } = require('./tool-calls');
+const { generateConversationId, cleanupSignatures, extractThoughtSignatures, injectThoughtSignatures, nextAssistantPosition } = require('./signatures');
+const { convertGeminiErrorToOpenAI } = require('./errors');
+const { createSSEParser, createStreamProcessor } = require('./sse');
+const { createNetworkTransport, createRecordingTransport, createReplayTransport } = require('./transport');
+const { headersForBody } = require('./headers');
+const { createNativeTransport } = require('./native');
+const { applyThinking, parseThinkingBudget, requestsThoughts, separateReasoning } = require('./thinking');
+const { CHAT_COMPLETIONS_PATH } = require('./front-end');
+const { createMessagesExchange } = require('./anthropic');
+const { createResponseStore, createResponsesExchange } = require('./responses');
+
+// Upstream-style 429 result for a request that was not sent because every pooled key is cooling down
+function keysCoolingDownResult(retryAfterMs) {
+  const body = Buffer.from(JSON.stringify({
+    error: { code: 429, message: 'All API keys are rate limited', status: 'RESOURCE_EXHAUSTED' }
+  }));
+  return {
+    statusCode: 429,
+    headers: { 'content-type': 'application/json', 'retry-after': String(Math.ceil(retryAfterMs / 1000)) },
+    responseData: body,
+    decompressedData: body,
+    streaming: false
+  };
+}
+
+// Backoff sleep that ends early (rejecting with the abort reason) when the signal is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Create a proxy server
+// options (all optional):
+//   config          settings with the config file structure, applied over the defaults
+//   upstream        upstream URL (overrides config.upstream) or a transport
+//                   {request(options, onResponse)} with the semantics of https.request
+//   signatureStore  thought signature store (default: from config.signatures)
+//   logger          logger from createLogger() (default: from config.logging)
+// Returns {server, config, signatureStore, keyPool, limiter, rateLimiter, metrics, listen(port), close()}
+function createProxy(options = {}) {
+  const config = resolveConfig(typeof options.upstream === 'string'
+    ? { ...options.config, upstream: options.upstream }
+    : options.config);
+  const upstreamUrl = new URL(config.upstream);
+  const logger = options.logger || createLogger(config.logging);
+  const signatureStore = options.signatureStore || createSignatureStore(config.signatures);
+  const responseStore = createResponseStore(config.responses);
+  const keyPool = createKeyPool(config.keys.pool, config.keys);
+  const limiter = createConcurrencyLimiter(config.concurrency);
+  const rateLimiter = createRateLimiter(config.rateLimit);
+
+  // Proxy metrics, exposed at /_proxy/metrics
+  const metrics = createMetrics();
+  const requestsTotal = metrics.counter('gemini_proxy_requests_total', 'Client requests by response status');
+  const retriesTotal = metrics.counter('gemini_proxy_upstream_retries_total', 'Upstream retries by reason');
+  const fallbacksTotal = metrics.counter('gemini_proxy_model_fallbacks_total', 'Model fallbacks after exhausted retries');
+  const signatureInjectionsTotal = metrics.counter('gemini_proxy_signature_injections_total', 'Thought signatures injected (hit: stored signature, fallback: skip_thought_signature_validator)');
+  const finishReasonCorrectionsTotal = metrics.counter('gemini_proxy_finish_reason_corrections_total', 'finish_reason "stop" corrected to "tool_calls"');
+  const queueTimeoutsTotal = metrics.counter('gemini_proxy_queue_timeouts_total', 'Requests rejected after waiting queueTimeoutMs for a slot');
+  const cancellationsTotal = metrics.counter('gemini_proxy_client_cancellations_total', 'Requests cancelled because the client disconnected');
+  const contextTrimsTotal = metrics.counter('gemini_proxy_context_trimmed_tool_results_total', 'Old tool results shortened to fit the context window');
+  const emptyStopRetriesTotal = metrics.counter('gemini_proxy_empty_stop_retries_total', 'Turns retried after an empty finish_reason "stop" response to tool results');
+  const rateLimitRejectionsTotal = metrics.counter('gemini_proxy_rate_limit_rejections_total', 'Requests answered 429 because the rate limiter wait exceeded maxWaitMs');
+  const structuredOutputErrorsTotal = metrics.counter('gemini_proxy_structured_output_errors_total', 'Structured outputs that did not match the response_format schema');
+  const rateLimitWait = metrics.histogram('gemini_proxy_rate_limit_wait_seconds', 'Time upstream attempts waited for the rate limiter', [0, 0.5, 1, 2.5, 5, 10, 30, 60, 120]);
+  const requestDuration = metrics.histogram('gemini_proxy_request_duration_seconds', 'Client request latency', [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120]);
+  metrics.gauge('gemini_proxy_conversations', 'Conversations with stored thought signatures', () => [{ labels: {}, value: signatureStore.size }]);
+  metrics.gauge('gemini_proxy_signatures', 'Stored thought signatures', () => {
+    let total = 0;
+    for (const [, signaturesMap] of signatureStore.entries()) total += signaturesMap.size;
+    return [{ labels: {}, value: total }];
+  });
+  metrics.gauge('gemini_proxy_upstream_requests_active', 'Upstream requests holding a concurrency slot', () => [{ labels: {}, value: limiter.active }]);
+  metrics.gauge('gemini_proxy_upstream_requests_queued', 'Requests waiting for a concurrency slot', () => [{ labels: {}, value: limiter.queued }]);
+  if (rateLimiter.enabled) {
+    metrics.gauge('gemini_proxy_rate_limit_queued', 'Upstream attempts waiting for the rate limiter', () => [{ labels: {}, value: rateLimiter.queued }]);
+    metrics.gauge('gemini_proxy_rate_limit_expected_wait_seconds', 'Rate limiter delay a new request would get now', () => [{ labels: {}, value: rateLimiter.expectedWaitMs() / 1000 }]);
+    metrics.gauge('gemini_proxy_rate_limit_factor', 'Fraction of the configured RPM/TPM in use (lowered after 429s)', () => [{ labels: {}, value: rateLimiter.rateFactor }]);
+  }
+  metrics.gauge('gemini_proxy_api_keys_available', 'Pooled API keys not cooling down', () => (
+    keyPool.size > 0 ? [{ labels: {}, value: keyPool.available() }] : []
+  ));
+
+  // Upstream: an injected transport or the network, translated for the native API,
+  // wrapped for recording or replaced for replay
+  let upstreamTransport = typeof options.upstream === 'object' && options.upstream
+    ? options.upstream
+    : createNetworkTransport(upstreamUrl);
+  if (config.upstreamApi === 'native') {
+    upstreamTransport = createNativeTransport(upstreamTransport);
+    logger.info('Translating chat completions to the native generateContent API');
+  }
+  if (config.recording.replayDir) {
+    upstreamTransport = createReplayTransport(config.recording.replayDir);
+    logger.info(`Replaying ${upstreamTransport.size} recorded exchange(s) from ${config.recording.replayDir}`);
+  } else if (config.recording.recordDir) {
+    upstreamTransport = createRecordingTransport(config.recording.recordDir, upstreamTransport);
+    logger.info(`Recording upstream exchanges to ${config.recording.recordDir}`);
+  }
+
+  // Inject thought signatures for the request's model, counting stored vs. workaround signatures
+  function signRequest(requestData, conversationId) {
+    const signed = injectThoughtSignatures(requestData, conversationId, signatureStore);
+    for (const msg of signed.messages || []) {
+      if (msg?.role !== 'assistant') continue;
+      for (const part of [msg, ...(msg.tool_calls || [])]) {
+        const signature = part?.extra_content?.google?.thought_signature;
+        if (!signature) continue;
+        signatureInjectionsTotal.inc({ result: signature === 'skip_thought_signature_validator' ? 'fallback' : 'hit' });
+      }
+    }
+    return signed;
+  }
+
+  // Retry with exponential backoff for 429 errors
+  // Supports both streaming and non-streaming modes
+  // originalTools are the request's tools before sanitization, used to validate returned arguments
+  // settings:
+  //   signal          aborting it (the client disconnected) destroys the upstream request and ends any backoff
+  //   holdEmptyStop   keep a stream from the client until it has content or tool calls; an empty
+  //                   "stop" stream then resolves {emptyStop: true} without anything being sent
+  //   maxRetries      attempts, including the first
+  //   responseSchema  original response_format schema, to check streamed structured output against
+  async function makeRequestWithRetry(options, body, requestData, conversationId, originalTools, clientRes = null, settings = {}) {
+    const { signal = null, holdEmptyStop = false, maxRetries = config.retry.maxAttempts, responseSchema = null } = settings;
+    // Detect streaming mode
+    const isStreaming = requestData?.stream === true;
+    const requestTokens = estimateRequestTokens(requestData);
+    // Last 429 response, returned if the keys don't recover in time for another attempt
+    let rateLimitedResult = null;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      if (signal?.aborted) throw signal.reason;
+
+      // Every pooled key is cooling down - sending now would only earn another 429
+      // Wait for the first key to recover, unless that takes longer than keys.maxWaitMs
+      const recoveryMs = keyPool.recoveryMs();
+      if (recoveryMs > 0) {
+        if (recoveryMs > config.keys.maxWaitMs) {
+          logger.warn(`All ${keyPool.size} API keys cooling down for ${Math.ceil(recoveryMs / 1000)}s - not sending`, { maxWaitMs: config.keys.maxWaitMs });
+          return rateLimitedResult || keysCoolingDownResult(recoveryMs);
+        }
+        logger.info(`All ${keyPool.size} API keys cooling down - waiting ${recoveryMs}ms for the first to recover`);
+        await sleep(recoveryMs, signal);
+      }
+
+      // Every attempt counts against the RPM/TPM limits - wait until it fits
+      if (rateLimiter.enabled) {
+        const waitStart = Date.now();
+        await rateLimiter.schedule(requestTokens, signal);
+        rateLimitWait.observe({}, (Date.now() - waitStart) / 1000);
+      }
+
+      // committed: streaming response headers/data already sent to the client (no more retries)
+      const attemptState = { committed: false };
+
+      // With a key pool, each attempt picks its own key instead of the client's
+      const keyEntry = keyPool.acquire();
+      const attemptOptions = keyEntry
+        ? { ...options, headers: { ...options.headers, authorization: `Bearer ${keyEntry.key}` } }
+        : options;
+      if (keyEntry) delete attemptOptions.headers['x-goog-api-key'];
+
+      let onAbort;
+      try {
+        const result = await new Promise((resolve, reject) => {
+          const proxyReq = upstreamTransport.request(attemptOptions, (proxyRes) => {
+            let responseBody = [];
+            let lastChunkTime = Date.now();
+
+            // Timeout for complete response (default 60s)
+            const responseTimeout = setTimeout(() => {
+              proxyReq.destroy();
+              reject(new Error(`Response timeout after ${config.timeouts.responseMs / 1000}s`));
+            }, config.timeouts.responseMs);
+
+            // Timeout idle between chunks (default 30s)
+            const idleTimeout = setInterval(() => {
+              if (Date.now() - lastChunkTime > config.timeouts.idleMs) {
+                clearInterval(idleTimeout);
+                clearTimeout(responseTimeout);
+                proxyReq.destroy();
+                reject(new Error(`Idle timeout - no data for ${config.timeouts.idleMs / 1000}s`));
+              }
+            }, Math.min(5000, config.timeouts.idleMs));
+
+            // Response destroyed (e.g. cancelled) before it ended
+            proxyRes.on('close', () => {
+              clearTimeout(responseTimeout);
+              clearInterval(idleTimeout);
+            });
+
+            // STREAMING MODE: Forward events as they complete while extracting signatures
+            // Error statuses fall through to the buffered path below so they can be retried
+            if (isStreaming && clientRes && proxyRes.statusCode >= 200 && proxyRes.statusCode < 300) {
+              // Compressed streams are decompressed here and forwarded uncompressed
+              const isGzipped = proxyRes.headers['content-encoding'] === 'gzip';
+              const source = isGzipped ? proxyRes.pipe(zlib.createGunzip()) : proxyRes;
+
+              // Output produced before the attempt is committed is held here
+              const held = [];
+              let receivedEvents = false;
+
+              const parser = createSSEParser();
+              const processor = createStreamProcessor({
+                conversationId,
+                model: requestData?.model,
+                write: text => (attemptState.committed ? clientRes.write(text) : held.push(text)),
+                store: signatureStore,
+                position: nextAssistantPosition(requestData),
+                includeThoughts: requestsThoughts(requestData),
+                responseSchema
+              });
+
+              const commit = () => {
+                attemptState.committed = true;
+                const headers = { ...proxyRes.headers };
+                delete headers['content-length'];
+                delete headers['content-encoding'];
+                if (requestData?.model) headers['x-proxy-model'] = requestData.model;
+                // Tool call errors can only be known at the end, so they come as a trailer
+                if (originalTools) headers.trailer = 'x-proxy-tool-call-errors';
+                clientRes.writeHead(proxyRes.statusCode, headers);
+                held.splice(0).forEach(text => clientRes.write(text));
+              };
+
+              // Nothing is sent to the client before the first complete event (with holdEmptyStop:
+              // the first content or tool call), so until then the attempt can still be retried
+              const handleEvents = events => {
+                if (events.length === 0) return;
+                receivedEvents = true;
+
+                events.forEach(processor.handleEvent);
+                const { stats } = processor;
+                if (!attemptState.committed && (!holdEmptyStop || stats.contentLength > 0 || stats.hasToolCalls)) {
+                  commit();
+                }
+              };
+
+              proxyRes.on('data', () => {
+                lastChunkTime = Date.now();
+              });
+
+              source.on('data', chunk => {
+                // Keep the (decompressed) stream for the final result
+                responseBody.push(chunk);
+                handleEvents(parser.push(chunk));
+              });
+
+              source.on('error', error => {
+                clearTimeout(responseTimeout);
+                clearInterval(idleTimeout);
+                reject(error);
+              });
+
+              source.on('end', () => {
+                clearTimeout(responseTimeout);
+                clearInterval(idleTimeout);
+
+                handleEvents(parser.end());
+
+                // Stream ended without a single complete event - retryable like a connection error
+                if (!receivedEvents) {
+                  reject(new Error('Stream ended before the first event'));
+                  return;
+                }
+
+                const stats = processor.finish();
+                if (stats.finishReasonCorrections > 0) finishReasonCorrectionsTotal.inc({}, stats.finishReasonCorrections);
+                if (stats.structuredOutputErrors > 0) structuredOutputErrorsTotal.inc({}, stats.structuredOutputErrors);
+
+                // Held stream turned out empty - drop it so the turn can be retried
+                if (!attemptState.committed && isEmptyStopStream(stats)) {
+                  resolve({ statusCode: proxyRes.statusCode, headers: proxyRes.headers, streaming: true, emptyStop: true });
+                  return;
+                }
+                if (!attemptState.committed) commit();
+
+                const responseData = Buffer.concat(responseBody);
+
+                // DIAGNOSTIC: Log finish_reason and validate response state
+                // This helps debug why agent stops after 2-3 tool calls
+                if (stats.events === 0) {
+                  logger.warn('Stream contained no data events', { responseBytes: responseData.length });
+                } else if (stats.finishReason) {
+                  // Warn about potential issues
+                  if (hasToolResults(requestData) && isEmptyStopStream(stats)) {
+                    logger.warn('Empty response with finish_reason "stop" - agent may halt prematurely');
+                  }
+                  if (stats.finishReason === 'length') {
+                    logger.warn('Context limit hit (finish_reason: "length") - response truncated');
+                  }
+                } else {
+                  logger.warn('All events had finish_reason: null (missing final event?)');
+                }
+
+                // Validate the complete streamed arguments (already forwarded, so report only)
+                // Unrepaired errors go to the client in the x-proxy-tool-call-errors trailer
+                if (stats.hasToolCalls && originalTools) {
+                  const { reports } = checkToolCalls(Object.values(processor.accumulatedToolCalls), originalTools);
+                  logToolCallReports(reports, true);
+                  const errorsHeader = formatToolCallErrorsHeader(reports);
+                  if (errorsHeader) clientRes.addTrailers({ 'x-proxy-tool-call-errors': errorsHeader });
+                }
+
+                // End client response
+                clientRes.end();
+
+                resolve({
+                  statusCode: proxyRes.statusCode,
+                  headers: proxyRes.headers,
+                  responseData,
+                  decompressedData: responseData,
+                  streaming: true
+                });
+              });
+            }
+            // NON-STREAMING MODE: Buffer entire response (original behavior)
+            else {
+              proxyRes.on('data', chunk => {
+                lastChunkTime = Date.now();
+                responseBody.push(chunk);
+              });
+
+              proxyRes.on('error', reject);
+
+              proxyRes.on('end', () => {
+                clearTimeout(responseTimeout);
+                clearInterval(idleTimeout);
+
+                const responseData = Buffer.concat(responseBody);
+
+                // Decompress gzip if needed
+                const isGzipped = proxyRes.headers['content-encoding'] === 'gzip';
+                const decompressedData = isGzipped
+                  ? zlib.gunzipSync(responseData)
+                  : responseData;
+
+                resolve({
+                  statusCode: proxyRes.statusCode,
+                  headers: proxyRes.headers,
+                  responseData,
+                  decompressedData,
+                  streaming: false
+                });
+              });
+            }
+          });
+
+          // Timeout for connection (default 30s)
+          proxyReq.setTimeout(config.timeouts.connectMs, () => {
+            proxyReq.destroy();
+            reject(new Error(`Connection timeout after ${config.timeouts.connectMs / 1000}s`));
+          });
+
+          // Client disconnected - stop the upstream request instead of finishing it unseen
+          if (signal) {
+            onAbort = () => {
+              reject(signal.reason);
+              proxyReq.destroy();
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+
+          proxyReq.on('error', reject);
+          proxyReq.write(body);
+          proxyReq.end();
+        }).finally(() => signal?.removeEventListener('abort', onAbort));
+
+        // Extract thought signatures from successful responses (non-streaming only)
+        // For streaming, signatures were already extracted in real-time
+        if (result.statusCode >= 200 && result.statusCode < 300 && !result.streaming) {
+          // Thought summaries move to reasoning_content first, so text signatures are
+          // keyed on the content the client will send back
+          const separated = requestsThoughts(requestData) ? separateReasoning(result.decompressedData) : { changed: false };
+          if (separated.changed) {
+            result.decompressedData = result.responseData = separated.body;
+            result.headers = headersForBody(result.headers, separated.body);
+          }
+
+          extractThoughtSignatures(result.decompressedData, conversationId, requestData?.model, signatureStore, nextAssistantPosition(requestData));
+
+          // Log response details when tool results were sent (for debugging continuation)
+          if (hasToolResults(requestData)) {
+            try {
+              const data = JSON.parse(result.decompressedData.toString());
+              data.choices?.forEach((choice, idx) => {
+                const finishReason = choice.finish_reason;
+                const hasToolCalls = !!choice.message?.tool_calls;
+                const contentLength = choice.message?.content?.length || 0;
+
+                logger.debug('Response after tool results', { choice: idx, finishReason, contentLength, hasToolCalls });
+
+                // Validate finish_reason matches response state
+                if (hasToolCalls && finishReason === 'stop') {
+                  logger.warn('Response has tool_calls but finish_reason is "stop" (expected "tool_calls")');
+                }
+                if (finishReason === 'length') {
+                  logger.warn('Context limit hit (finish_reason: "length") - response may be truncated');
+                }
+              });
+            } catch (e) {
+              logger.error('Error logging response details', { error: e.message });
+            }
+          }
+        }
+
+        if (result.statusCode >= 200 && result.statusCode < 300) rateLimiter.onSuccess();
+
+        // Successful streams are already sent to client - nothing left to retry
+        // (streamed error statuses arrive buffered, as non-streaming results)
+        if (result.streaming) {
+          logger.debug('Streaming response completed');
+          return result;
+        }
+
+        if (keyEntry) keyPool.markResult(keyEntry, result.statusCode);
+
+        // Handle 429 - retry with longer exponential backoff
+        if (result.statusCode === 429) {
+          const retryAfterMs = parseRetryAfter(result.headers['retry-after']);
+          // Longer delays (default 2s, 5s, 10s, 20s, 40s)
+          const delays = config.retry.rateLimitDelaysMs;
+          const delay = retryAfterMs ?? (delays[attempt] || delays[delays.length - 1]);
+
+          // Our limits were too generous - slow down (a pooled key's Retry-After only concerns that key)
+          rateLimiter.onRateLimited(keyEntry ? null : retryAfterMs);
+
+          if (keyEntry) {
+            keyPool.markRateLimited(keyEntry, retryAfterMs);
+
+            // Another key is ready - switch to it right away instead of sleeping
+            // Otherwise the next attempt waits for the first key to recover
+            if (attempt < maxRetries - 1) {
+              const rotate = keyPool.available() > 0;
+              logger.info(`429 Rate Limited on key ${keyEntry.label} - Retry ${attempt + 1}/${maxRetries - 1} with ${rotate ? 'next key' : 'first key to recover'}`);
+              retriesTotal.inc({ reason: rotate ? 'key_rotation' : '429' });
+              rateLimitedResult = result;
+              continue; // Retry
+            }
+          }
+
+          if (attempt < maxRetries - 1) {
+            logger.info(`429 Rate Limited - Retry ${attempt + 1}/${maxRetries - 1} after ${delay}ms`);
+            retriesTotal.inc({ reason: '429' });
+            await sleep(delay, signal);
+            continue; // Retry
+          } else {
+            logger.error(`429 Rate Limited - Max retries (${maxRetries}) exceeded`);
+          }
+        }
+
+        // Handle 503 - retry with faster recovery
+        if (result.statusCode === 503) {
+          const max503Retries = config.retry.unavailableRetries;
+          if (attempt < max503Retries && attempt < maxRetries - 1) {
+            const delay = Math.pow(2, attempt) * config.retry.unavailableBaseDelayMs; // 1s, 2s, 4s
+            logger.info(`503 Service Unavailable - Retry ${attempt + 1}/${max503Retries} after ${delay}ms`);
+            retriesTotal.inc({ reason: '503' });
+            await sleep(delay, signal);
+            continue; // Retry
+          } else {
+            logger.error(`503 Service Unavailable - Max retries (${max503Retries}) exceeded`);
+          }
+        }
+
+        // Log errors on one line: the upstream error and which tools were sent
+        if (result.statusCode >= 400) {
+          const text = result.decompressedData.toString();
+          let upstreamError;
+          try {
+            const errorJson = JSON.parse(text);
+            upstreamError = errorJson.error || errorJson;
+          } catch (e) {
+            upstreamError = text.length > 500 ? `${text.substring(0, 500)}…` : text;
+          }
+          logger.error(`Upstream error ${result.statusCode}`, {
+            status: result.statusCode,
+            error: upstreamError,
+            tools: requestData?.tools?.map(tool => tool.function?.name || 'unnamed')
+          });
+        } else if (requestData?.tools) {
+          logger.debug(`Success with ${requestData.tools.length} tools`);
+        }
+
+        return result;
+      } catch (error) {
+        // Once a stream is committed the client has partial data - retrying would corrupt it
+        // A cancelled request is not retried either
+        if (attemptState.committed || signal?.aborted || attempt === maxRetries - 1) {
+          throw error;
+        }
+        logger.warn(`Request error (attempt ${attempt + 1}): ${error.message}`);
+        retriesTotal.inc({ reason: 'error' });
+        await sleep(config.retry.errorBaseDelayMs * Math.pow(2, attempt), signal);
+      }
+    }
+  }
+
+  // Retry a turn that came back empty: tool results were sent and the model answered
+  // finish_reason "stop" with no content and no tool calls, which halts agents
+  // Up to config.recovery.emptyStopRetries retries, with config.recovery.nudge appended
+  // as a user message if set; only the final attempt's response reaches the client
+  async function requestWithRecovery(options, body, requestData, conversationId, originalTools, clientRes, signal, responseSchema) {
+    const maxRetries = config.recovery.emptyStopRetries;
+    if (maxRetries === 0 || !hasToolResults(requestData)) {
+      return makeRequestWithRetry(options, body, requestData, conversationId, originalTools, clientRes, { signal, responseSchema });
+    }
+
+    for (let retry = 0; ; retry++) {
+      const canRetry = retry < maxRetries;
+      const result = await makeRequestWithRetry(options, body, requestData, conversationId, originalTools, clientRes, {
+        signal,
+        holdEmptyStop: canRetry,
+        responseSchema
+      });
+      const empty = result.emptyStop ||
+        (!result.streaming && result.statusCode >= 200 && result.statusCode < 300 && isEmptyStopResponse(result.decompressedData));
+      if (empty && !canRetry && !result.streaming) {
+        logger.warn(`Response still empty after ${maxRetries} retries - agent may halt prematurely`);
+      }
+      if (!empty || !canRetry) return result;
+
+      logger.warn(`Empty response with finish_reason "stop" after tool results - retrying turn (${retry + 1}/${maxRetries})`);
+      emptyStopRetriesTotal.inc();
+
+      if (config.recovery.nudge && retry === 0) {
+        requestData = addContinuationNudge(requestData, config.recovery.nudge);
+        body = Buffer.from(JSON.stringify(requestData));
+        options = { ...options, headers: { ...options.headers, 'content-length': body.length } };
+      }
+    }
+  }
+
+  // Forward a request, falling back through the configured model chain when a model
+  // is still rate limited or unavailable after its whole retry budget
+  // requestData is sanitized but not yet signed - thinking settings and signatures are
+  // applied per model (the X-Thinking-Budget header is consumed here, not forwarded)
+  async function forwardWithFallback(options, body, requestData, conversationId, originalTools, clientRes, signal, responseSchema) {
+    const { 'x-thinking-budget': budgetHeader, ...headers } = options.headers;
+    options = { ...options, headers };
+    const thinking = { budget: parseThinkingBudget(budgetHeader), includeThoughts: config.thinking.includeThoughts };
+
+    // Not a JSON request (or no model) - forward as-is
+    if (!requestData || typeof requestData.model !== 'string') {
+      const signed = requestData && signRequest(requestData, conversationId);
+      const signedBody = signed ? Buffer.from(JSON.stringify(signed)) : body;
+      const signedOptions = { ...options, headers: { ...options.headers, 'content-length': signedBody.length } };
+      return requestWithRecovery(signedOptions, signedBody, signed, conversationId, originalTools, clientRes, signal, responseSchema);
+    }
+
+    const fallbacks = config.models.fallbacks;
+    const models = [
+      requestData.model,
+      ...(Object.prototype.hasOwnProperty.call(fallbacks, requestData.model) ? fallbacks[requestData.model] : [])
+    ];
+    let result;
+
+    for (let i = 0; i < models.length; i++) {
+      const model = models[i];
+      const modelRequest = signRequest(applyThinking({ ...requestData, model }, thinking), conversationId);
+      const modelBody = Buffer.from(JSON.stringify(modelRequest));
+      const modelOptions = { ...options, headers: { ...options.headers, 'content-length': modelBody.length } };
+
+      result = await requestWithRecovery(modelOptions, modelBody, modelRequest, conversationId, originalTools, clientRes, signal, responseSchema);
+      result.model = model;
+      if (i > 0) result.fallbackFrom = models[0];
+
+      if (result.streaming || ![429, 503].includes(result.statusCode) || i === models.length - 1) {
+        return result;
+      }
+      logger.warn(`${model} still returning ${result.statusCode} after retries - falling back to ${models[i + 1]}`);
+      fallbacksTotal.inc({ from: model, to: models[i + 1] });
+    }
+
+    return result;
+  }
+
+  // Reserved /_proxy/ namespace: liveness, metrics and conversation inspection
+  // These paths are answered by the proxy itself and never forwarded upstream
+  function handleAdminRequest(clientReq, clientRes) {
+    // Admin endpoints take no body
+    clientReq.resume();
+
+    const url = new URL(clientReq.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean).slice(1);
+    const method = clientReq.method;
+
+    const send = (statusCode, data) => {
+      const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+      clientRes.writeHead(statusCode, {
+        'content-type': typeof data === 'string' ? 'text/plain; version=0.0.4; charset=utf-8' : 'application/json',
+        'content-length': Buffer.byteLength(text)
+      });
+      clientRes.end(text);
+    };
+    const notFound = () => send(404, { error: { message: `Unknown proxy endpoint ${method} ${url.pathname}`, type: 'not_found', code: null } });
+
+    let conversationId;
+    try {
+      conversationId = segments[1] !== undefined ? decodeURIComponent(segments[1]) : undefined;
+    } catch (e) {
+      return notFound();
+    }
+
+    if (segments.length === 1 && segments[0] === 'healthz' && method === 'GET') {
+      return send(200, {
+        status: 'ok',
+        uptimeSeconds: Math.round(process.uptime()),
+        upstreamRequests: { active: limiter.active, queued: limiter.queued }
+      });
+    }
+
+    if (segments.length === 1 && segments[0] === 'metrics' && method === 'GET') {
+      return send(200, metrics.render());
+    }
+
+    if (segments.length === 1 && segments[0] === 'keys' && method === 'GET') {
+      return send(200, { keys: keyPool.health() });
+    }
+
+    if (segments[0] === 'conversations' && segments.length === 1) {
+      if (method === 'GET') {
+        const conversations = [];
+        for (const [id, signaturesMap] of signatureStore.entries()) {
+          const timestamps = [...signaturesMap.values()].map(data => data.timestamp);
+          conversations.push({
+            id,
+            signatures: signaturesMap.size,
+            lastUpdated: new Date(Math.max(...timestamps)).toISOString()
+          });
+        }
+        return send(200, { conversations });
+      }
+      if (method === 'DELETE') {
+        const purged = signatureStore.size;
+        signatureStore.clear();
+        logger.info(`Purged signatures for ${purged} conversation(s)`);
+        return send(200, { purged });
+      }
+    }
+
+    if (segments[0] === 'conversations' && segments.length === 2) {
+      const signaturesMap = signatureStore.getConversation(conversationId);
+
+      if (method === 'GET') {
+        if (signaturesMap.size === 0) return notFound();
+        return send(200, {
+          id: conversationId,
+          signatures: [...signaturesMap.entries()].map(([toolCallId, data]) => ({
+            toolCallId,
+            model: data.model,
+            timestamp: new Date(data.timestamp).toISOString(),
+            signature: data.signature
+          }))
+        });
+      }
+      if (method === 'DELETE') {
+        if (!signatureStore.delete(conversationId)) return notFound();
+        logger.info(`Purged signatures for conversation ${conversationId}`);
+        return send(200, { purged: 1 });
+      }
+    }
+
+    return notFound();
+  }
+
+  // Handle a request bound for Gemini (runs inside the request's log context)
+  function handleProxyRequest(clientReq, clientRes, context) {
+    logger.info(`${clientReq.method} ${clientReq.url}`);
+    logger.debug('Request headers', { headers: clientReq.headers });
+    const startTime = Date.now();
+    let streaming = false;
+
+    // Record status and latency once the client response is finished
+    clientRes.on('finish', AsyncResource.bind(() => {
+      const durationMs = Date.now() - startTime;
+      requestsTotal.inc({ status: clientRes.statusCode });
+      requestDuration.observe({ streaming: String(streaming) }, durationMs / 1000);
+      logger.info(`Completed ${clientRes.statusCode} in ${durationMs}ms`, { status: clientRes.statusCode, durationMs });
+    }));
+
+    // Client disconnected before the response was complete - cancel upstream work
+    const abortController = new AbortController();
+    clientRes.on('close', AsyncResource.bind(() => {
+      if (clientRes.writableFinished) return;
+      abortController.abort(new Error('Client disconnected'));
+    }));
+
+    // Anthropic Messages and OpenAI Responses API requests are lowered to chat completions,
+    // and everything written to the client goes through `output`, which translates the responses back
+    const pathname = clientReq.url.split('?')[0];
+    const frontEnd = clientReq.method !== 'POST' ? null
+      : /\/v1\/messages(\/count_tokens)?$/.test(pathname) ? createMessagesExchange(clientRes)
+        : /\/responses$/.test(pathname) ? createResponsesExchange(clientRes, responseStore)
+          : null;
+    const output = frontEnd ? frontEnd.output : clientRes;
+
+    // Cleanup old signatures on each request
+    cleanupSignatures(signatureStore);
+
+    // Collect request body
+    let body = [];
+    clientReq.on('data', chunk => body.push(chunk));
+    clientReq.on('end', AsyncResource.bind(() => {
+      body = Buffer.concat(body);
+      context.originalBody = body;
+
+      // Parse and sanitize if it's a chat completion request
+      let requestData;
+      let originalTools;
+      let responseSchema = null;
+      try {
+        requestData = JSON.parse(body.toString());
+        if (frontEnd) requestData = frontEnd.toChatRequest(requestData);
+
+        // Log streaming mode detection
+        if (requestData.stream === true) {
+          streaming = true;
+          logger.debug('STREAMING mode detected');
+        }
+
+        // Sanitize tool schemas
+        if (requestData.tools && Array.isArray(requestData.tools)) {
+          logger.debug(`Sanitizing ${requestData.tools.length} tools...`);
+          originalTools = requestData.tools;
+          requestData.tools = sanitizeTools(requestData.tools, config.schema);
+        }
+
+        // Sanitize the structured output schema (the original is kept to check the output against)
+        responseSchema = responseSchemaOf(requestData.response_format);
+        if (responseSchema) {
+          logger.debug('Sanitizing response_format schema...');
+          requestData.response_format = sanitizeResponseFormat(requestData.response_format, config.schema);
+        }
+
+        // Resolve model aliases
+        const aliases = config.models.aliases;
+        const alias = Object.prototype.hasOwnProperty.call(aliases, requestData.model) && aliases[requestData.model];
+        if (alias) {
+          logger.info(`Model alias ${requestData.model} -> ${alias}`);
+          requestData.model = alias;
+        }
+
+        // Shorten old tool results before the prompt outgrows the model's context window
+        const guarded = trimToolResults(requestData, config.context);
+        if (guarded.trimmed > 0) {
+          requestData = guarded.requestData;
+          contextTrimsTotal.inc({}, guarded.trimmed);
+          logger.info(`Context guard: trimmed ${guarded.trimmed} old tool result(s)`, {
+            tokensBefore: guarded.tokensBefore,
+            tokensAfter: guarded.tokensAfter,
+            limit: guarded.limit
+          });
+        }
+        if (guarded.limit !== null && guarded.tokensAfter > guarded.limit) {
+          logger.warn('Request still exceeds the context guard limit after trimming tool results', {
+            tokens: guarded.tokensAfter,
+            limit: guarded.limit
+          });
+        }
+
+        // Thought signatures are injected per model in forwardWithFallback
+      } catch (e) {
+        // Translated requests can't be passed through - answer them with a 400
+        if (frontEnd) {
+          logger.warn(`Invalid ${pathname} request: ${e.message}`);
+          output.writeHead(400);
+          output.end(JSON.stringify({ error: { message: e.message, type: 'invalid_request_error', code: null } }));
+          return;
+        }
+        // Not JSON or parsing failed, pass through as-is
+        logger.error('Error parsing/sanitizing request body', { error: e.message });
+      }
+
+      // Token counting is answered locally from the estimate the rate limiter uses
+      if (frontEnd && pathname.endsWith('/count_tokens')) {
+        const text = JSON.stringify({ input_tokens: estimateRequestTokens(requestData) });
+        clientRes.writeHead(200, { 'content-type': 'application/json', 'content-length': Buffer.byteLength(text) });
+        clientRes.end(text);
+        return;
+      }
+
+      // Identify the conversation from the request itself (header, tool call IDs, first messages)
+      const conversationId = generateConversationId(clientReq, requestData, signatureStore);
+      context.conversationId = conversationId;
+      logger.debug(`Conversation ID: ${conversationId}`);
+
+      // Forward to Gemini API with retry logic
+      const options = {
+        hostname: upstreamUrl.hostname,
+        port: upstreamUrl.port || (upstreamUrl.protocol === 'http:' ? 80 : 443),
+        path: frontEnd ? CHAT_COMPLETIONS_PATH : clientReq.url,
+        method: clientReq.method,
+        headers: {
+          ...(frontEnd?.toChatHeaders ? frontEnd.toChatHeaders(clientReq.headers) : clientReq.headers),
+          host: upstreamUrl.host,
+          'content-length': body.length
+        }
+      };
+
+      // FIX: Don't request gzipped responses from Gemini
+      // This allows us to search/modify chunks (fix finish_reason bug) before forwarding to client
+      delete options.headers['accept-encoding'];
+
+      // Use async handler with retry and model fallback, once a concurrency slot is free
+      // Pass clientRes for streaming support
+      const { signal } = abortController;
+      limiter.acquire(conversationId, signal)
+        .then(release => forwardWithFallback(options, body, requestData, conversationId, originalTools, output, signal, responseSchema)
+          .finally(release))
+        .then(result => {
+          // Streaming responses are already sent to client
+          if (result.streaming) {
+            return;
+          }
+
+          // Report which model actually served the request
+          if (result.model) {
+            result.headers = { ...result.headers, 'x-proxy-model': result.model };
+          }
+          if (result.fallbackFrom) {
+            result.headers['x-proxy-fallback-from'] = result.fallbackFrom;
+          }
+
+          // Check structured output against the unsanitized schema: safe repairs are applied,
+          // output that still doesn't match is answered with an error instead of broken JSON
+          if (responseSchema && result.statusCode >= 200 && result.statusCode < 300) {
+            const checked = repairStructuredOutput(result.decompressedData, responseSchema);
+            if (checked.errors.length > 0) {
+              logger.warn('Structured output does not match the response_format schema', { errors: checked.errors });
+              structuredOutputErrorsTotal.inc();
+              output.writeHead(502, { 'content-type': 'application/json' });
+              output.end(JSON.stringify(structuredOutputError(checked.errors, checked.finishReason)));
+              return;
+            }
+            if (checked.changed) {
+              result.decompressedData = result.responseData = checked.body;
+              result.headers = headersForBody(result.headers, checked.body);
+            }
+          }
+
+          // Convert Gemini errors to OpenAI format for error responses
+          if (result.statusCode >= 400) {
+            const convertedError = convertGeminiErrorToOpenAI(result.decompressedData);
+            const convertedBuffer = Buffer.from(convertedError);
+
+            // Converted body is sent uncompressed
+            output.writeHead(result.statusCode, headersForBody(result.headers, convertedBuffer));
+            output.end(convertedBuffer);
+          } else if (originalTools) {
+            // Validate tool call arguments against the unsanitized schemas before forwarding
+            const checked = repairResponseToolCalls(result.decompressedData, originalTools);
+            logToolCallReports(checked.reports);
+
+            const updatedHeaders = { ...result.headers };
+            const errorsHeader = formatToolCallErrorsHeader(checked.reports);
+            if (errorsHeader) {
+              updatedHeaders['x-proxy-tool-call-errors'] = errorsHeader;
+            }
+
+            if (checked.changed) {
+              // Repaired body is re-serialized and uncompressed
+              output.writeHead(result.statusCode, headersForBody(updatedHeaders, checked.body));
+              output.end(checked.body);
+            } else {
+              output.writeHead(result.statusCode, updatedHeaders);
+              output.end(result.responseData);
+            }
+          } else {
+            // Forward successful response (original compressed data)
+            output.writeHead(result.statusCode, result.headers);
+            output.end(result.responseData);
+          }
+        })
+        .catch(error => {
+          // Nobody is left to answer
+          if (signal.aborted) {
+            cancellationsTotal.inc();
+            logger.info('Client disconnected - upstream request cancelled');
+            return;
+          }
+
+          if (error.code === 'RATE_LIMITED') {
+            rateLimitRejectionsTotal.inc();
+            logger.warn(error.message, { queued: rateLimiter.queued });
+            output.writeHead(429, {
+              'content-type': 'application/json',
+              'retry-after': Math.ceil(error.retryAfterMs / 1000)
+            });
+            output.end(JSON.stringify({
+              error: {
+                message: `Proxy rate limit (RPM/TPM): ${error.message}`,
+                type: 'proxy_rate_limited',
+                code: null
+              }
+            }));
+            return;
+          }
+
+          if (error.code === 'QUEUE_TIMEOUT') {
+            queueTimeoutsTotal.inc();
+            logger.warn(error.message, { active: limiter.active, queued: limiter.queued });
+            output.writeHead(503, { 'content-type': 'application/json' });
+            output.end(JSON.stringify({
+              error: {
+                message: `Proxy is at its concurrency limit: ${error.message}`,
+                type: 'proxy_queue_timeout',
+                code: null
+              }
+            }));
+            return;
+          }
+
+          logger.error('Request error', { error: error.message });
+
+          // A committed stream failed midway - headers are gone, just close it
+          if (output.headersSent) {
+            output.end();
+            return;
+          }
+
+          output.writeHead(500);
+          output.end(JSON.stringify({
+            error: {
+              message: error.message,
+              type: 'proxy_error',
+              code: null
+            }
+          }));
+        });
+    }));
+  }
+
+  // Proxy server: /_proxy/ endpoints, everything else is forwarded upstream
+  const server = http.createServer((clientReq, clientRes) => {
+    // Proxy's own endpoints - never forwarded (matched on the path, so a query string can't send them upstream)
+    const { pathname } = new URL(clientReq.url, 'http://localhost');
+    if (pathname === '/_proxy' || pathname.startsWith('/_proxy/')) {
+      handleAdminRequest(clientReq, clientRes);
+      return;
+    }
+
+    // Every log line of this request carries its ID; clients get it as a header
+    const context = { requestId: crypto.randomBytes(6).toString('hex'), logger };
+    clientRes.setHeader('x-proxy-request-id', context.requestId);
+    requestContext.run(context, () => handleProxyRequest(clientReq, clientRes, context));
+  });
+
+  return {
+    server,
+    config,
+    signatureStore,
+    responseStore,
+    keyPool,
+    limiter,
+    rateLimiter,
+    metrics,
+
+    // Start listening; resolves with the bound port (0 picks a free one)
+    listen(port = config.port) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+          server.off('error', reject);
+          resolve(server.address().port);
+        });
+      });
+    },
+
+    // Stop accepting requests; resolves once open connections are closed
+    close() {
+      return new Promise((resolve, reject) => {
+        server.close(error => (error ? reject(error) : resolve()));
+        server.closeIdleConnections();
+      });
+    }
+  };
+}
+
+module.exports = { createProxy };
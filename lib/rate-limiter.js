@@ -0,0 +1,173 @@
+/**
+ * Proactive upstream rate limiter: token buckets for requests and tokens per minute
+ *
+ * Requests wait (first come, first served) until both buckets can cover them,
+ * so the proxy stays under the tier's limits instead of collecting 429s.
+ * A 429 that still gets through halves the effective limits, which then recover
+ * a little with every successful request.
+ */
+
+const { logger } = require('./logger');
+const { DEFAULT_CONFIG } = require('./config');
+
+const MIN_RATE_FACTOR = 0.25;
+const RATE_FACTOR_RECOVERY = 0.05;
+
+// Error for a request that could not be scheduled
+// code: RATE_LIMITED (expected wait above maxWaitMs, see retryAfterMs) or ABORTED
+function rateLimitError(message, code, retryAfterMs) {
+  const error = new Error(message);
+  error.code = code;
+  if (retryAfterMs !== undefined) error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// Create a rate limiter
+// options: requestsPerMinute and tokensPerMinute (0: no limit), maxWaitMs
+// schedule(tokens, signal) resolves once the request may be sent
+function createRateLimiter(options = {}) {
+  const defaults = DEFAULT_CONFIG.rateLimit;
+  const limits = {
+    requests: options.requestsPerMinute ?? defaults.requestsPerMinute,
+    tokens: options.tokensPerMinute ?? defaults.tokensPerMinute
+  };
+  const maxWaitMs = options.maxWaitMs ?? defaults.maxWaitMs;
+
+  // Buckets start full and refill continuously at limit per minute
+  const levels = { requests: limits.requests, tokens: limits.tokens };
+  let rateFactor = 1;
+  let refilledAt = Date.now();
+  let blockedUntil = 0;
+  const queue = [];
+  let timer = null;
+
+  const enabled = limits.requests > 0 || limits.tokens > 0;
+
+  function refill(now = Date.now()) {
+    const elapsed = now - refilledAt;
+    refilledAt = now;
+    for (const name of ['requests', 'tokens']) {
+      if (limits[name] === 0) continue;
+      const capacity = limits[name] * rateFactor;
+      levels[name] = Math.min(capacity, levels[name] + elapsed * capacity / 60000);
+    }
+  }
+
+  // Milliseconds until the buckets hold `requests` requests and `tokens` tokens
+  function waitFor(requests, tokens, now = Date.now()) {
+    let wait = Math.max(0, blockedUntil - now);
+    const needs = { requests, tokens };
+    for (const name of ['requests', 'tokens']) {
+      if (limits[name] === 0) continue;
+      const capacity = limits[name] * rateFactor;
+      const missing = needs[name] - levels[name];
+      if (missing > 0) wait = Math.max(wait, Math.ceil(missing * 60000 / capacity));
+    }
+    return wait;
+  }
+
+  // A request larger than a whole bucket could never fit - it waits for a full bucket instead
+  const clampTokens = tokens => (limits.tokens > 0 ? Math.min(tokens, limits.tokens * rateFactor) : 0);
+
+  // Send queued requests as soon as the buckets cover them, in arrival order
+  function drain() {
+    clearTimeout(timer);
+    timer = null;
+    refill();
+
+    while (queue.length > 0) {
+      const head = queue[0];
+      const tokens = clampTokens(head.tokens);
+      const wait = waitFor(1, tokens);
+      if (wait > 0) {
+        timer = setTimeout(drain, wait);
+        return;
+      }
+      queue.shift();
+      if (limits.requests > 0) levels.requests -= 1;
+      if (limits.tokens > 0) levels.tokens -= tokens;
+      head.settle();
+      head.resolve();
+    }
+  }
+
+  // Expected wait of a request joining the queue now (everything queued goes first)
+  function expectedWaitMs(tokens = 0) {
+    if (!enabled) return 0;
+    refill();
+    const queuedTokens = queue.reduce((sum, waiter) => sum + clampTokens(waiter.tokens), 0);
+    return waitFor(queue.length + 1, queuedTokens + clampTokens(tokens));
+  }
+
+  return {
+    get enabled() {
+      return enabled;
+    },
+
+    get queued() {
+      return queue.length;
+    },
+
+    // Current fraction of the configured limits (below 1 after 429s)
+    get rateFactor() {
+      return rateFactor;
+    },
+
+    expectedWaitMs,
+
+    schedule(tokens, signal = null) {
+      if (!enabled) return Promise.resolve();
+      if (signal?.aborted) {
+        return Promise.reject(rateLimitError('Request aborted while waiting for the rate limiter', 'ABORTED'));
+      }
+
+      const waitMs = expectedWaitMs(tokens);
+      if (waitMs > maxWaitMs) {
+        return Promise.reject(rateLimitError(
+          `Rate limit would delay the request by ${Math.ceil(waitMs / 1000)}s (limit ${maxWaitMs / 1000}s)`,
+          'RATE_LIMITED',
+          waitMs
+        ));
+      }
+      if (waitMs > 0) {
+        logger.info(`Rate limiter: waiting ${waitMs}ms`, { queued: queue.length + 1, tokens });
+      }
+
+      return new Promise((resolve, reject) => {
+        const waiter = { tokens, resolve };
+        const onAbort = () => {
+          const idx = queue.indexOf(waiter);
+          if (idx === -1) return;
+          queue.splice(idx, 1);
+          reject(rateLimitError('Request aborted while waiting for the rate limiter', 'ABORTED'));
+          drain();
+        };
+        waiter.settle = () => signal?.removeEventListener('abort', onAbort);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        queue.push(waiter);
+        drain();
+      });
+    },
+
+    // Upstream still returned 429: halve the limits and pause for Retry-After
+    onRateLimited(retryAfterMs = null) {
+      if (!enabled) return;
+      refill();
+      rateFactor = Math.max(MIN_RATE_FACTOR, rateFactor / 2);
+      levels.requests = Math.min(levels.requests, 0);
+      levels.tokens = Math.min(levels.tokens, 0);
+      if (retryAfterMs) blockedUntil = Math.max(blockedUntil, Date.now() + retryAfterMs);
+      logger.warn(`Rate limiter: upstream 429 - sending at ${Math.round(rateFactor * 100)}% of the configured limits`);
+    },
+
+    // Successful request: recover towards the configured limits
+    onSuccess() {
+      if (!enabled || rateFactor === 1) return;
+      refill();
+      rateFactor = Math.min(1, rateFactor + RATE_FACTOR_RECOVERY);
+      if (rateFactor === 1) logger.info('Rate limiter: back at the configured limits');
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
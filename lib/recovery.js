@@ -0,0 +1,44 @@
+/**
+ * Recovery from empty "stop" turns: after tool results, Gemini sometimes answers
+ * finish_reason "stop" with no content and no tool calls, which halts the agent.
+ * These helpers detect that response and build the retried request.
+ */
+
+// Whether the request sends tool results (the only case where an empty "stop" is a failure)
+function hasToolResults(requestData) {
+  return Array.isArray(requestData?.messages) && requestData.messages.some(msg => msg?.role === 'tool');
+}
+
+// Whether streamed stats (from createStreamProcessor) describe an empty "stop" turn
+function isEmptyStopStream(stats) {
+  return stats.finishReason === 'stop' && !stats.hasToolCalls && stats.contentLength === 0;
+}
+
+// Whether a non-streaming chat completion body is an empty "stop" turn:
+// every choice stopped without content or tool calls
+function isEmptyStopResponse(body) {
+  let data;
+  try {
+    data = JSON.parse(body.toString());
+  } catch (e) {
+    return false;
+  }
+  const choices = Array.isArray(data?.choices) ? data.choices : [];
+  return choices.length > 0 && choices.every(choice => (
+    choice.finish_reason === 'stop' &&
+    !choice.message?.tool_calls?.length &&
+    !choice.message?.content
+  ));
+}
+
+// The request with a continuation nudge appended as a user message
+function addContinuationNudge(requestData, nudge) {
+  return { ...requestData, messages: [...requestData.messages, { role: 'user', content: nudge }] };
+}
+
+module.exports = {
+  hasToolResults,
+  isEmptyStopStream,
+  isEmptyStopResponse,
+  addContinuationNudge
+};
@@ -0,0 +1,342 @@
+/**
+ * OpenAI Responses API front end (/v1/responses)
+ *
+ * Requests (input items, function_call / function_call_output items) are lowered
+ * to chat completions, so sanitizing, signing and retries apply unchanged.
+ * Completed responses are kept in a local store: previous_response_id rebuilds the
+ * history from it, including the thought signatures the assistant turns came with.
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_CONFIG } = require('./config');
+const { createTranslatingResponse } = require('./front-end');
+
+const newId = prefix => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// In-memory store of completed responses: response ID -> chat messages of the
+// conversation so far (without instructions, which previous_response_id doesn't carry over)
+// options: ttlMs, maxStored (oldest responses are dropped first)
+function createResponseStore(options = {}) {
+  const ttlMs = options.ttlMs ?? DEFAULT_CONFIG.responses.ttlMs;
+  const maxStored = options.maxStored ?? DEFAULT_CONFIG.responses.maxStored;
+  // Insertion order is expiry order (same TTL for every entry)
+  const entries = new Map();
+
+  function prune(now = Date.now()) {
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt > now) break;
+      entries.delete(id);
+    }
+  }
+
+  return {
+    get(id) {
+      prune();
+      return entries.get(id)?.messages || null;
+    },
+
+    set(id, messages) {
+      prune();
+      entries.set(id, { messages, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxStored) entries.delete(entries.keys().next().value);
+    },
+
+    get size() {
+      prune();
+      return entries.size;
+    }
+  };
+}
+
+// Text of a content value (string or parts)
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).map(part => (typeof part?.text === 'string' ? part.text : '')).join('');
+}
+
+// Input message content -> chat content (a string when it's text only)
+function contentOf(content) {
+  if (typeof content === 'string') return content;
+  const parts = (content || []).map(part => {
+    if (part?.type === 'input_image') return { type: 'image_url', image_url: { url: part.image_url } };
+    return { type: 'text', text: typeof part?.text === 'string' ? part.text : '' };
+  });
+  return parts.every(part => part.type === 'text') ? parts.map(part => part.text).join('') : parts;
+}
+
+// Responses API request -> chat completion request
+// history: stored messages of previous_response_id
+function fromResponsesRequest(request, history = []) {
+  const messages = [];
+  if (request.instructions) messages.push({ role: 'system', content: request.instructions });
+  messages.push(...history);
+
+  const items = typeof request.input === 'string' ? [{ role: 'user', content: request.input }] : request.input || [];
+  for (const item of items) {
+    const type = item?.type || 'message';
+    const last = messages[messages.length - 1];
+
+    if (type === 'message' && item.role === 'assistant') {
+      messages.push({ role: 'assistant', content: textOf(item.content) || null });
+    } else if (type === 'message') {
+      messages.push({ role: item.role || 'user', content: contentOf(item.content) });
+    } else if (type === 'function_call') {
+      // Calls belong to the assistant turn they follow
+      const toolCall = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } };
+      if (last?.role === 'assistant') messages[messages.length - 1] = { ...last, tool_calls: [...(last.tool_calls || []), toolCall] };
+      else messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+    } else if (type === 'function_call_output') {
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: typeof item.output === 'string' ? item.output : textOf(item.output) });
+    }
+    // reasoning and other item types have nothing to send
+  }
+
+  const chat = { model: request.model, messages };
+  if (request.max_output_tokens !== undefined) chat.max_tokens = request.max_output_tokens;
+  if (request.temperature !== undefined) chat.temperature = request.temperature;
+  if (request.top_p !== undefined) chat.top_p = request.top_p;
+  if (request.reasoning?.effort) chat.reasoning_effort = request.reasoning.effort;
+  if (request.stream === true) {
+    chat.stream = true;
+    chat.stream_options = { include_usage: true };
+  }
+
+  const tools = (request.tools || []).filter(tool => tool?.type === 'function');
+  if (tools.length > 0) {
+    chat.tools = tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+  }
+  if (typeof request.tool_choice === 'string') chat.tool_choice = request.tool_choice;
+  else if (request.tool_choice?.type === 'function') {
+    chat.tool_choice = { type: 'function', function: { name: request.tool_choice.name } };
+  }
+
+  const format = request.text?.format;
+  if (format?.type === 'json_schema') {
+    chat.response_format = { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: format.strict } };
+  } else if (format?.type === 'json_object') {
+    chat.response_format = { type: 'json_object' };
+  }
+
+  return chat;
+}
+
+// Output items of an assistant chat message: a message item, then one item per tool call
+function outputItemsOf(message) {
+  const items = [];
+  if (message.content) {
+    items.push({
+      type: 'message',
+      id: newId('msg'),
+      status: 'completed',
+      role: 'assistant',
+      content: [{ type: 'output_text', text: message.content, annotations: [] }]
+    });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    items.push({
+      type: 'function_call',
+      id: newId('fc'),
+      call_id: toolCall.id,
+      name: toolCall.function?.name,
+      arguments: toolCall.function?.arguments || '',
+      status: 'completed'
+    });
+  }
+  return items;
+}
+
+// Response object around output items
+function responseObject(base, { status, output = [], finishReason = null, usage = null, error = null }) {
+  const incomplete = { length: 'max_output_tokens', content_filter: 'content_filter' }[finishReason];
+  return {
+    ...base,
+    status: incomplete && status === 'completed' ? 'incomplete' : status,
+    error,
+    incomplete_details: incomplete && status === 'completed' ? { reason: incomplete } : null,
+    output,
+    usage: usage && {
+      input_tokens: usage.prompt_tokens || 0,
+      output_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || 0
+    }
+  };
+}
+
+// Per-request Responses API exchange
+// toChatRequest(request) lowers the request (throws for an unknown previous_response_id,
+// which the proxy answers with a 400); output is the client response to write chat completions to
+function createResponsesExchange(clientRes, store) {
+  let request = {};
+  let history = [];
+  const base = {
+    id: newId('resp'),
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    model: null,
+    previous_response_id: null
+  };
+
+  // Keep the completed turn so a later previous_response_id can continue it
+  const remember = message => {
+    if (request.store !== false) store.set(base.id, [...history, message]);
+  };
+
+  function toChatRequest(data) {
+    request = data;
+    base.model = data.model;
+    base.previous_response_id = data.previous_response_id || null;
+
+    let previous = [];
+    if (data.previous_response_id) {
+      previous = store.get(data.previous_response_id);
+      if (!previous) throw new Error(`Previous response with id '${data.previous_response_id}' not found`);
+    }
+    const chat = fromResponsesRequest(data, previous);
+    history = chat.messages.slice(data.instructions ? 1 : 0);
+    return chat;
+  }
+
+  function body(data) {
+    const choice = data.choices?.[0] || {};
+    const message = { role: 'assistant', content: null, ...choice.message };
+    remember(message);
+    return responseObject({ ...base, model: data.model || base.model }, {
+      status: 'completed',
+      output: outputItemsOf(message),
+      finishReason: choice.finish_reason,
+      usage: data.usage
+    });
+  }
+
+  // Streamed chunks -> response.* events
+  function stream() {
+    let sequence = 0;
+    const event = (type, data) => ({ event: type, data: JSON.stringify({ type, sequence_number: sequence++, ...data }) });
+    let started = false;
+    const output = [];
+    // Open output item: {item, outputIndex, toolCallIndex}
+    let open = null;
+    // Accumulated assistant message for the store
+    const message = { role: 'assistant', content: '' };
+    const toolCalls = [];
+    let finishReason = null;
+    let usage = null;
+
+    function closeItem(events) {
+      if (!open) return;
+      const { item, outputIndex } = open;
+      item.status = 'completed';
+      if (item.type === 'message') {
+        const part = item.content[0];
+        events.push(event('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text }));
+        events.push(event('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part }));
+      } else {
+        events.push(event('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments }));
+      }
+      events.push(event('response.output_item.done', { output_index: outputIndex, item }));
+      open = null;
+    }
+
+    function openItem(events, item, toolCallIndex = null) {
+      closeItem(events);
+      open = { item, outputIndex: output.length, toolCallIndex };
+      output.push(item);
+      events.push(event('response.output_item.added', { output_index: open.outputIndex, item: { ...item, status: 'in_progress' } }));
+    }
+
+    return {
+      push(data) {
+        const events = [];
+        if (data.error) {
+          events.push(event('error', { code: data.error.code ?? null, message: data.error.message || 'Upstream stream error', param: null }));
+          return events;
+        }
+
+        if (!started) {
+          started = true;
+          if (data.model) base.model = data.model;
+          const inProgress = responseObject(base, { status: 'in_progress' });
+          events.push(event('response.created', { response: inProgress }));
+          events.push(event('response.in_progress', { response: inProgress }));
+        }
+        if (data.usage) usage = data.usage;
+
+        const choice = data.choices?.[0];
+        if (!choice) return events;
+        const delta = choice.delta || {};
+        if (delta.extra_content) message.extra_content = delta.extra_content;
+
+        if (delta.content) {
+          if (open?.item.type !== 'message') {
+            openItem(events, { type: 'message', id: newId('msg'), status: 'in_progress', role: 'assistant', content: [] });
+            open.item.content.push({ type: 'output_text', text: '', annotations: [] });
+            events.push(event('response.content_part.added', {
+              item_id: open.item.id,
+              output_index: open.outputIndex,
+              content_index: 0,
+              part: { type: 'output_text', text: '', annotations: [] }
+            }));
+          }
+          open.item.content[0].text += delta.content;
+          message.content += delta.content;
+          events.push(event('response.output_text.delta', { item_id: open.item.id, output_index: open.outputIndex, content_index: 0, delta: delta.content }));
+        }
+
+        for (const toolCall of delta.tool_calls || []) {
+          if (open?.toolCallIndex !== toolCall.index) {
+            toolCalls[toolCall.index] = { id: toolCall.id, type: 'function', function: { name: toolCall.function?.name, arguments: '' } };
+            openItem(events, { type: 'function_call', id: newId('fc'), call_id: toolCall.id, name: toolCall.function?.name, arguments: '', status: 'in_progress' }, toolCall.index);
+          }
+          const accumulated = toolCalls[toolCall.index];
+          if (toolCall.extra_content) accumulated.extra_content = toolCall.extra_content;
+          if (toolCall.function?.arguments) {
+            accumulated.function.arguments += toolCall.function.arguments;
+            open.item.arguments += toolCall.function.arguments;
+            events.push(event('response.function_call_arguments.delta', { item_id: open.item.id, output_index: open.outputIndex, delta: toolCall.function.arguments }));
+          }
+        }
+
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+        return events;
+      },
+
+      end(complete) {
+        const events = [];
+        if (!started) return events;
+        closeItem(events);
+
+        if (!complete && !finishReason) {
+          const error = { code: 'server_error', message: 'Stream ended before the response was complete' };
+          events.push(event('response.failed', { response: responseObject(base, { status: 'failed', output, usage, error }) }));
+          return events;
+        }
+
+        const calls = toolCalls.filter(Boolean);
+        remember({ ...message, content: message.content || null, ...(calls.length > 0 && { tool_calls: calls }) });
+
+        const response = responseObject(base, { status: 'completed', output, finishReason, usage });
+        events.push(event(response.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response }));
+        return events;
+      }
+    };
+  }
+
+  return {
+    toChatRequest,
+    output: createTranslatingResponse(clientRes, {
+      body,
+      // Errors already have the OpenAI shape
+      error: (data, statusCode) => data || { error: { message: `Upstream returned status ${statusCode}`, type: 'api_error', code: null } },
+      stream
+    })
+  };
+}
+
+module.exports = {
+  createResponseStore,
+  fromResponsesRequest,
+  createResponsesExchange
+};
@@ -0,0 +1,462 @@
+/**
+ * Tool schema sanitization for Gemini: local $ref inlining, allOf/anyOf/oneOf
+ * lowering and removal of unsupported keywords
+ */
+
+const { logger } = require('./logger');
+const { DEFAULT_CONFIG } = require('./config');
+
+// Append a human-readable note to a schema's description
+// Used whenever sanitization loses information the model should still know about
+function appendSchemaNote(schema, note) {
+  schema.description = schema.description
+    ? `${schema.description} (${note})`
+    : note;
+  return schema;
+}
+
+// Resolve a local JSON pointer ref (e.g. "#/$defs/Address") against the root schema
+// Returns undefined for remote refs, anchors and pointers that don't resolve
+function resolveSchemaRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return undefined;
+
+  const pointer = ref.substring(1);
+  if (pointer === '') return root;
+  if (!pointer.startsWith('/')) return undefined;
+
+  let target = root;
+  for (const rawToken of pointer.substring(1).split('/')) {
+    let token;
+    try {
+      // JSON pointer escaping (~1 = "/", ~0 = "~") plus URI fragment encoding
+      token = decodeURIComponent(rawToken).replace(/~1/g, '/').replace(/~0/g, '~');
+    } catch (e) {
+      return undefined;
+    }
+    if (!target || typeof target !== 'object' || !Object.prototype.hasOwnProperty.call(target, token)) {
+      return undefined;
+    }
+    target = target[token];
+  }
+
+  return target;
+}
+
+// Keywords whose values are data rather than subschemas - never walk into them
+const SCHEMA_DATA_KEYWORDS = new Set(['enum', 'const', 'default', 'examples', 'example', 'required']);
+
+// Inline local $ref pointers so Gemini sees the full structure of shared definitions
+// refStack tracks the refs expanded along the current path to cut off recursion
+function inlineSchemaRefs(schema, root, maxDepth, refStack = []) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  if (Array.isArray(schema)) {
+    return schema.map(item => inlineSchemaRefs(item, root, maxDepth, refStack));
+  }
+
+  if (typeof schema.$ref === 'string') {
+    const { $ref: ref, ...siblings } = schema;
+    const target = resolveSchemaRef(root, ref);
+
+    if (!target || typeof target !== 'object' || Array.isArray(target)) {
+      logger.warn(`Could not resolve schema $ref "${ref}", dropping it`);
+      return appendSchemaNote(
+        inlineSchemaRefs(siblings, root, maxDepth, refStack),
+        `unresolved reference ${ref}`
+      );
+    }
+
+    // Recursive definition: stop expanding and fall back to a plain type
+    const expansions = refStack.filter(r => r === ref).length;
+    if (expansions >= maxDepth) {
+      const type = typeof target.type === 'string' ? target.type : 'object';
+      const fallback = { type };
+      if (type === 'array') fallback.items = { type: 'object' };
+      if (siblings.description || target.description) {
+        fallback.description = siblings.description || target.description;
+      }
+      return appendSchemaNote(fallback, `recursive reference ${ref} truncated`);
+    }
+
+    // Keywords next to $ref (e.g. description) take precedence over the definition
+    return inlineSchemaRefs({ ...target, ...siblings }, root, maxDepth, [...refStack, ref]);
+  }
+
+  const resolved = {};
+  for (const [key, value] of Object.entries(schema)) {
+    // Definitions are only needed for lookups against the root, which keeps its own copy
+    if (key === '$defs' || key === 'definitions') continue;
+
+    resolved[key] = SCHEMA_DATA_KEYWORDS.has(key)
+      ? value
+      : inlineSchemaRefs(value, root, maxDepth, refStack);
+  }
+
+  return resolved;
+}
+
+// JSON Schema types from most to least permissive
+// Used to pick a branch when a union of different types can't be represented
+const UNION_TYPE_PRIORITY = ['object', 'array', 'string', 'number', 'integer', 'boolean'];
+
+// Infer the (single) type a schema fragment describes, if any
+function inferSchemaType(schema) {
+  if (typeof schema.type === 'string') return schema.type;
+  if (Array.isArray(schema.type)) return schema.type.find(t => t !== 'null');
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+
+  const values = schema.enum || ('const' in schema ? [schema.const] : null);
+  if (values && values.length > 0) {
+    if (values.every(v => typeof v === 'string')) return 'string';
+    if (values.every(v => Number.isInteger(v))) return 'integer';
+    if (values.every(v => typeof v === 'number')) return 'number';
+    if (values.every(v => typeof v === 'boolean')) return 'boolean';
+  }
+  return undefined;
+}
+
+// A union branch that only admits null (e.g. {type: "null"} or {const: null})
+function isNullSchema(schema) {
+  if (schema.type === 'null') return true;
+  if (Array.isArray(schema.type) && schema.type.length > 0 && schema.type.every(t => t === 'null')) return true;
+  if ('const' in schema && schema.const === null) return true;
+  return Array.isArray(schema.enum) && schema.enum.length > 0 && schema.enum.every(v => v === null);
+}
+
+// A union branch that admits exactly one value (const or single-value enum)
+function isConstSchema(schema) {
+  return 'const' in schema || (Array.isArray(schema.enum) && schema.enum.length === 1);
+}
+
+// Merge two schema fragments as an intersection (allOf semantics)
+// The first fragment wins on conflicting keywords; conflicts are pushed to notes
+function mergeSchemaFragments(base, extra, notes) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(extra)) {
+    if (!(key in merged)) {
+      merged[key] = value;
+      continue;
+    }
+
+    const current = merged[key];
+    if (key === 'properties' && current && value && typeof current === 'object' && typeof value === 'object') {
+      const props = { ...current };
+      for (const [name, propSchema] of Object.entries(value)) {
+        props[name] = name in props
+          ? mergeSchemaFragments(props[name], propSchema, notes)
+          : propSchema;
+      }
+      merged.properties = props;
+    } else if (key === 'required' && Array.isArray(current) && Array.isArray(value)) {
+      merged.required = [...new Set([...current, ...value])];
+    } else if (key === 'enum' && Array.isArray(current) && Array.isArray(value)) {
+      merged.enum = current.filter(v => value.includes(v));
+    } else if (key === 'type' && current !== value) {
+      // integer is the intersection of integer and number; anything else is a real conflict
+      if ([current, value].every(t => t === 'integer' || t === 'number')) {
+        merged.type = 'integer';
+      } else {
+        notes.push(`conflicting types ${JSON.stringify(current)} and ${JSON.stringify(value)}, kept ${JSON.stringify(current)}`);
+      }
+    } else if (key === 'nullable') {
+      merged.nullable = current && value;
+    }
+    // Any other keyword: keep the first fragment's value
+  }
+
+  return merged;
+}
+
+// Lower an anyOf/oneOf branch list into a single Gemini-compatible schema
+// Returns the lowered schema plus notes describing anything that was lost
+function lowerUnion(branches, keyword) {
+  const notes = [];
+  const nonNull = branches.filter(branch => !isNullSchema(branch));
+  const nullable = nonNull.length < branches.length;
+
+  let schema;
+  if (nonNull.length === 0) {
+    schema = {};
+  } else if (nonNull.length === 1) {
+    schema = { ...nonNull[0] };
+  } else if (nonNull.every(isConstSchema)) {
+    // Enum-of-const: collapse into a single enum
+    const values = nonNull.map(branch => ('const' in branch ? branch.const : branch.enum[0]));
+    const type = inferSchemaType({ enum: values });
+    schema = type ? { type } : {};
+    if (values.every(v => typeof v === 'string')) {
+      schema.enum = values;
+    } else {
+      notes.push(`one of: ${values.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    const described = nonNull.filter(branch => branch.description || branch.title);
+    if (described.length > 0) {
+      notes.push(described
+        .map(branch => `${JSON.stringify('const' in branch ? branch.const : branch.enum[0])}: ${branch.description || branch.title}`)
+        .join('; '));
+    }
+  } else {
+    const types = [...new Set(nonNull.map(inferSchemaType))];
+
+    if (types.includes(undefined)) {
+      // An unconstrained branch already admits everything the others do
+      schema = { ...nonNull.find(branch => inferSchemaType(branch) === undefined) };
+      notes.push(`${keyword} branches simplified to the unconstrained one`);
+    } else if (types.length === 1 || types.every(t => t === 'integer' || t === 'number')) {
+      schema = mergeUnionBranches(nonNull, notes);
+    } else {
+      // Real union of different types: describe the most permissive one
+      const chosenType = UNION_TYPE_PRIORITY.find(t => types.includes(t)) || types[0];
+      const chosen = nonNull.filter(branch => inferSchemaType(branch) === chosenType);
+      schema = chosen.length === 1 ? { ...chosen[0] } : mergeUnionBranches(chosen, notes);
+      if (!schema.type) schema.type = chosenType;
+      notes.push(`accepts ${types.join(' | ')}; only ${chosenType} is described`);
+    }
+  }
+
+  if (nullable) schema.nullable = true;
+  return { schema, notes };
+}
+
+// Merge same-typed union branches into one schema that admits all of them
+// (properties are combined, only properties required by every branch stay required)
+function mergeUnionBranches(branches, notes) {
+  const merged = { ...branches[0] };
+  const types = new Set(branches.map(inferSchemaType));
+  merged.type = types.size === 1 ? [...types][0] : 'number';
+
+  if (merged.type === 'object') {
+    // Collect each property's variants, then lower them like any other union
+    const variants = {};
+    for (const branch of branches) {
+      for (const [name, propSchema] of Object.entries(branch.properties || {})) {
+        (variants[name] = variants[name] || []).push(propSchema);
+      }
+    }
+    const props = {};
+    for (const [name, propSchemas] of Object.entries(variants)) {
+      if (propSchemas.length === 1) {
+        props[name] = propSchemas[0];
+        continue;
+      }
+      const lowered = lowerUnion(propSchemas, 'anyOf');
+      props[name] = lowered.notes.length > 0
+        ? appendSchemaNote(lowered.schema, lowered.notes.join('; '))
+        : lowered.schema;
+    }
+    merged.properties = props;
+
+    const required = branches
+      .map(branch => branch.required || [])
+      .reduce((common, req) => common.filter(name => req.includes(name)));
+    if (required.length > 0) {
+      merged.required = required;
+    } else {
+      delete merged.required;
+    }
+    notes.push(`accepts ${branches.length} object variants; their fields are merged and only fields common to all are required`);
+  } else if (merged.type === 'array') {
+    const itemSchemas = branches.map(branch => branch.items).filter(Boolean);
+    if (itemSchemas.length > 1) {
+      const lowered = lowerUnion(itemSchemas, 'items');
+      merged.items = lowered.notes.length > 0
+        ? appendSchemaNote(lowered.schema, lowered.notes.join('; '))
+        : lowered.schema;
+    }
+  } else if (branches.every(branch => Array.isArray(branch.enum))) {
+    merged.enum = [...new Set(branches.flatMap(branch => branch.enum))];
+  } else {
+    delete merged.enum;
+  }
+
+  return merged;
+}
+
+// Lower allOf/anyOf/oneOf into a single schema node (Gemini supports none of them)
+// Lossy decisions are described in the node's description so the model still sees the intent
+function lowerSchemaCombinators(schema) {
+  if (!['allOf', 'anyOf', 'oneOf'].some(keyword => Array.isArray(schema[keyword]))) {
+    return { ...schema };
+  }
+
+  const notes = [];
+  const { allOf, anyOf, oneOf, ...rest } = schema;
+  let node = rest;
+
+  // allOf: intersect all fragments into the node
+  if (Array.isArray(allOf)) {
+    for (const part of allOf) {
+      if (part && typeof part === 'object') {
+        node = mergeSchemaFragments(node, lowerSchemaCombinators(part), notes);
+      }
+    }
+  }
+
+  // anyOf/oneOf: collapse the union, then intersect it with the surrounding keywords
+  for (const [keyword, branches] of [['anyOf', anyOf], ['oneOf', oneOf]]) {
+    if (!Array.isArray(branches)) continue;
+
+    const lowered = lowerUnion(
+      branches.filter(branch => branch && typeof branch === 'object').map(lowerSchemaCombinators),
+      keyword
+    );
+    const nullable = lowered.schema.nullable;
+    node = mergeSchemaFragments(node, lowered.schema, notes);
+    if (nullable) node.nullable = true;
+    notes.push(...lowered.notes);
+  }
+
+  return notes.length > 0 ? appendSchemaNote(node, notes.join('; ')) : node;
+}
+
+// Sanitize JSON Schema to be Gemini-compatible
+// Local $ref pointers are inlined first since Gemini cannot follow them
+function sanitizeSchema(schema, options = {}) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const maxRefDepth = options.maxRefDepth ?? DEFAULT_CONFIG.schema.maxRefDepth;
+  return sanitizeSchemaNode(inlineSchemaRefs(schema, schema, maxRefDepth));
+}
+
+// Sanitize a single (already ref-inlined) schema node and its children
+function sanitizeSchemaNode(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  // Combinators are lowered into the node itself before anything is removed
+  const clean = Array.isArray(schema) ? [...schema] : lowerSchemaCombinators(schema);
+
+  // Remove JSON Schema metadata (not supported by Gemini OpenAI API)
+  delete clean.$ref;
+  delete clean.$schema;
+  delete clean.$id;
+  delete clean.definitions;
+  delete clean.$defs;
+
+  // Remove leftover schema combinators (`not` has no Gemini equivalent, so it is dropped)
+  delete clean.anyOf;
+  delete clean.oneOf;
+  delete clean.allOf;
+  delete clean.not;
+
+  // A string const is expressible as a single-value enum
+  if (typeof clean.const === 'string' && !clean.enum) {
+    clean.enum = [clean.const];
+    if (!clean.type) clean.type = 'string';
+  }
+
+  // Remove unsupported numeric/string constraints
+  delete clean.exclusiveMaximum;
+  delete clean.exclusiveMinimum;
+  delete clean.const;
+  delete clean.contentEncoding;
+  delete clean.contentMediaType;
+
+  // Remove unsupported array features
+  delete clean.prefixItems;  // Tuple-style arrays not supported
+  delete clean.contains;
+  delete clean.minContains;
+  delete clean.maxContains;
+
+  // Remove unsupported object features
+  delete clean.propertyNames;
+  delete clean.patternProperties;  // Often causes issues
+  delete clean.dependentSchemas;
+  delete clean.dependentRequired;
+
+  // Remove unsupported format values (only enum and date-time are supported)
+  if (clean.format && !['enum', 'date-time'].includes(clean.format)) {
+    delete clean.format;
+  }
+
+  // Handle type arrays (e.g., ["string", "null"])
+  if (Array.isArray(clean.type)) {
+    const hasNull = clean.type.includes('null');
+    const nonNullType = clean.type.find(t => t !== 'null');
+    if (nonNullType) {
+      clean.type = nonNullType;
+      if (hasNull) clean.nullable = true;
+    } else {
+      clean.type = 'string';
+    }
+  }
+
+  // Handle additionalProperties: false (not well supported)
+  if (clean.additionalProperties === false) {
+    delete clean.additionalProperties;
+  }
+
+  // Remove empty required arrays
+  if (Array.isArray(clean.required) && clean.required.length === 0) {
+    delete clean.required;
+  }
+
+  // Remove minimum/maximum from non-numeric types
+  if (clean.type && !['number', 'integer'].includes(clean.type)) {
+    delete clean.minimum;
+    delete clean.maximum;
+    delete clean.multipleOf;
+  }
+
+  // Recursively sanitize nested objects
+  if (clean.properties && typeof clean.properties === 'object') {
+    const props = {};
+    for (const [key, value] of Object.entries(clean.properties)) {
+      props[key] = sanitizeSchemaNode(value);
+    }
+    clean.properties = props;
+  }
+
+  if (clean.items) {
+    clean.items = sanitizeSchemaNode(clean.items);
+  }
+
+  if (clean.additionalProperties && typeof clean.additionalProperties === 'object') {
+    clean.additionalProperties = sanitizeSchemaNode(clean.additionalProperties);
+  }
+
+  return clean;
+}
+
+// Sanitize tools array
+// options are passed to sanitizeSchema (e.g. {maxRefDepth})
+function sanitizeTools(tools, options = {}) {
+  if (!Array.isArray(tools)) return tools;
+
+  return tools.map(tool => {
+    if (!tool?.function?.parameters) return tool;
+
+    return {
+      ...tool,
+      function: {
+        ...tool.function,
+        parameters: sanitizeSchema(tool.function.parameters, options)
+      }
+    };
+  });
+}
+
+// Sanitize the schema of a json_schema response_format (structured outputs), which
+// Gemini rejects for the same constructs as tool schemas
+function sanitizeResponseFormat(responseFormat, options = {}) {
+  if (responseFormat?.type !== 'json_schema' || !responseFormat.json_schema?.schema) return responseFormat;
+
+  return {
+    ...responseFormat,
+    json_schema: {
+      ...responseFormat.json_schema,
+      schema: sanitizeSchema(responseFormat.json_schema.schema, options)
+    }
+  };
+}
+
+module.exports = {
+  resolveSchemaRef,
+  inlineSchemaRefs,
+  lowerSchemaCombinators,
+  sanitizeSchema,
+  sanitizeTools,
+  sanitizeResponseFormat
+};
@@ -0,0 +1,228 @@
+/**
+ * Thought signature stores: in-memory (default) or file-backed append-only log
+ * Both share the same interface, so createProxy() accepts either (or a custom one)
+ */
+
+const { logger } = require('./logger');
+const { DEFAULT_CONFIG } = require('./config');
+
+// In-memory signature store
+// Structure: Map<conversation_id, Map<tool_call_id, {signature, timestamp, model}>>
+// model is the model that produced the signature (signatures don't carry across models)
+// An index Map<tool_call_id, conversation_id> finds a tool call's conversation without a scan
+function createMemorySignatureStore(options = {}) {
+  const ttlMs = options.ttlMs ?? DEFAULT_CONFIG.signatures.ttlMs;
+  const maxPerConversation = options.maxPerConversation ?? DEFAULT_CONFIG.signatures.maxPerConversation;
+  const conversationSignatures = new Map();
+  const toolCallConversations = new Map();
+
+  // Drop one signature, and its index entry unless the tool call ID was stored again elsewhere
+  function removeSignature(conversationId, signaturesMap, toolCallId) {
+    signaturesMap.delete(toolCallId);
+    if (toolCallConversations.get(toolCallId) === conversationId) {
+      toolCallConversations.delete(toolCallId);
+    }
+  }
+
+  return {
+    get(conversationId, toolCallId) {
+      return conversationSignatures.get(conversationId)?.get(toolCallId);
+    },
+
+    set(conversationId, toolCallId, signature, { model = null, timestamp = Date.now() } = {}) {
+      // Get or create signatures map for this conversation
+      if (!conversationSignatures.has(conversationId)) {
+        conversationSignatures.set(conversationId, new Map());
+      }
+      conversationSignatures.get(conversationId).set(toolCallId, { signature, timestamp, model });
+      toolCallConversations.set(toolCallId, conversationId);
+    },
+
+    // Conversation holding a signature for a tool call ID (undefined if none)
+    findConversation(toolCallId) {
+      return toolCallConversations.get(toolCallId);
+    },
+
+    // All signatures of one conversation (empty map if none exists)
+    getConversation(conversationId) {
+      return conversationSignatures.get(conversationId) || new Map();
+    },
+
+    // Iterate [conversation_id, Map<tool_call_id, {signature, timestamp, model}>] pairs
+    entries() {
+      return conversationSignatures.entries();
+    },
+
+    get size() {
+      return conversationSignatures.size;
+    },
+
+    // Remove one conversation's signatures; returns whether it existed
+    delete(conversationId) {
+      const signaturesMap = conversationSignatures.get(conversationId);
+      if (!signaturesMap) return false;
+
+      for (const toolCallId of [...signaturesMap.keys()]) {
+        removeSignature(conversationId, signaturesMap, toolCallId);
+      }
+      return conversationSignatures.delete(conversationId);
+    },
+
+    // Remove all signatures
+    clear() {
+      conversationSignatures.clear();
+      toolCallConversations.clear();
+    },
+
+    // Apply TTL and per-conversation cap; returns the number of active conversations
+    cleanup(now = Date.now()) {
+      const expiry = now - ttlMs;
+
+      for (const [conversationId, signaturesMap] of conversationSignatures.entries()) {
+        // Remove expired signatures within this conversation
+        for (const [toolCallId, data] of signaturesMap.entries()) {
+          if (data.timestamp < expiry) {
+            removeSignature(conversationId, signaturesMap, toolCallId);
+          }
+        }
+
+        // If conversation has no signatures left, remove it entirely
+        if (signaturesMap.size === 0) {
+          conversationSignatures.delete(conversationId);
+          continue;
+        }
+
+        // Keep each conversation to the cap (remove oldest)
+        if (signaturesMap.size > maxPerConversation) {
+          const entries = Array.from(signaturesMap.entries());
+          entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
+          const toRemove = entries.slice(0, signaturesMap.size - maxPerConversation);
+          toRemove.forEach(([id]) => removeSignature(conversationId, signaturesMap, id));
+        }
+      }
+
+      return conversationSignatures.size;
+    }
+  };
+}
+
+// File-backed signature store: in-memory store plus an append-only JSON-lines log
+// Each line is {c: conversation_id, k: tool_call_id, s: signature, t: timestamp, m: model},
+// or {c: conversation_id, d: true} when a conversation was purged ({d: true} alone: all purged).
+// The log is replayed on startup and rewritten with only live entries once it
+// grows well beyond them, so TTL and caps apply exactly as in memory.
+function createFileSignatureStore(filePath, options = {}) {
+  const fs = require('fs');
+  const path = require('path');
+
+  const memory = createMemorySignatureStore(options);
+  let logLines = 0;
+
+  // Replay existing log (later lines overwrite earlier ones)
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.d) {
+          if (entry.c) memory.delete(entry.c);
+          else memory.clear();
+          logLines++;
+        } else if (entry.c && entry.k && entry.s) {
+          memory.set(entry.c, entry.k, entry.s, { model: entry.m || null, timestamp: entry.t || Date.now() });
+          logLines++;
+        }
+      } catch (e) {
+        // A torn final line from a crash mid-write - skip it
+        logger.warn('Skipping unreadable line in signature store', { file: filePath });
+      }
+    }
+    memory.cleanup();
+    logger.info(`Loaded signatures for ${memory.size} conversation(s)`, { file: filePath });
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Rewrite the log with live entries only (write to temp file, then atomic rename)
+  function compact() {
+    const lines = [];
+    for (const [conversationId, signaturesMap] of memory.entries()) {
+      for (const [toolCallId, data] of signaturesMap.entries()) {
+        lines.push(JSON.stringify({ c: conversationId, k: toolCallId, s: data.signature, t: data.timestamp, m: data.model }));
+      }
+    }
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tempPath, filePath);
+    logLines = lines.length;
+  }
+
+  // Append one entry to the log
+  function append(entry) {
+    try {
+      fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+      logLines++;
+    } catch (e) {
+      logger.error('Error persisting signatures', { file: filePath, error: e.message });
+    }
+  }
+
+  return {
+    get: memory.get,
+    findConversation: memory.findConversation,
+    getConversation: memory.getConversation,
+    entries: memory.entries,
+
+    get size() {
+      return memory.size;
+    },
+
+    delete(conversationId) {
+      const existed = memory.delete(conversationId);
+      if (existed) append({ c: conversationId, d: true });
+      return existed;
+    },
+
+    clear() {
+      memory.clear();
+      append({ d: true });
+    },
+
+    set(conversationId, toolCallId, signature, { model = null, timestamp = Date.now() } = {}) {
+      memory.set(conversationId, toolCallId, signature, { model, timestamp });
+      append({ c: conversationId, k: toolCallId, s: signature, t: timestamp, m: model });
+    },
+
+    cleanup(now = Date.now()) {
+      const active = memory.cleanup(now);
+
+      // Compact once the log holds more than twice the live entries
+      let live = 0;
+      for (const [, signaturesMap] of memory.entries()) live += signaturesMap.size;
+      if (logLines > Math.max(2 * live, 100)) {
+        try {
+          compact();
+        } catch (e) {
+          logger.error('Error compacting signature store', { file: filePath, error: e.message });
+        }
+      }
+
+      return active;
+    }
+  };
+}
+
+// Create the store selected by the signatures config
+function createSignatureStore(options = {}) {
+  return options.storeFile
+    ? createFileSignatureStore(options.storeFile, options)
+    : createMemorySignatureStore(options);
+}
+
+module.exports = {
+  createMemorySignatureStore,
+  createFileSignatureStore,
+  createSignatureStore
+};
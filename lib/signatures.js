@@ -0,0 +1,266 @@
+/**
+ * Thought signatures: conversation IDs, extraction from responses (buffered and
+ * streamed) and injection into follow-up requests
+ */
+
+const { logger } = require('./logger');
+
+// Find the conversation a request belongs to, in order of precedence:
+//   explicit:<id>   X-Conversation-ID header
+//   <stored id>     the conversation holding signatures for a tool_call_id in the request's history
+//   content:<hash>  system prompt + first user message (the same for every turn of a session)
+//   auto:<hash>     client IP + User-Agent, for requests without messages
+// requestData and store are optional; without them only the header and client are used
+function generateConversationId(req, requestData = null, store = null) {
+  const crypto = require('crypto');
+  const hash = text => crypto.createHash('sha256').update(text).digest('hex').substring(0, 16);
+
+  // Check for explicit conversation ID header first
+  const explicitId = req.headers['x-conversation-id'];
+  if (explicitId) {
+    return `explicit:${explicitId}`;
+  }
+
+  const messages = Array.isArray(requestData?.messages) ? requestData.messages : [];
+
+  // A tool call we already stored a signature for identifies its conversation,
+  // even if the start of the history was rewritten (e.g. summarized)
+  // (looked up in the store's tool_call_id index, so the cost doesn't grow with the store)
+  if (store) {
+    for (const msg of messages) {
+      for (const toolCall of msg?.tool_calls || []) {
+        const conversationId = typeof toolCall?.id === 'string' ? store.findConversation(toolCall.id) : undefined;
+        if (conversationId) return conversationId;
+      }
+    }
+  }
+
+  // Fingerprint of how the session started
+  const systemPrompt = messages.filter(msg => msg?.role === 'system' || msg?.role === 'developer').map(msg => msg.content);
+  const firstUser = messages.find(msg => msg?.role === 'user');
+  if (firstUser) {
+    return `content:${hash(JSON.stringify([systemPrompt, firstUser.content]))}`;
+  }
+
+  // Build identifier from request characteristics
+  const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
+  const userAgent = req.headers['user-agent'] || 'unknown';
+
+  // Create a hash to keep IDs short and consistent per session
+  return `auto:${hash(`${clientIp}:${userAgent}`)}`;
+}
+
+// Store key of a signature attached to an assistant message's text rather than a tool call
+// position is the message's index among the conversation's assistant messages; the content
+// hash makes sure the signature is only re-injected into the same text at the same place
+function textSignatureKey(position, content) {
+  const crypto = require('crypto');
+  const text = Array.isArray(content)
+    ? content.map(part => (typeof part?.text === 'string' ? part.text : '')).join('')
+    : (typeof content === 'string' ? content : '');
+  const hash = crypto.createHash('sha256').update(text.trim()).digest('hex').substring(0, 16);
+  return `text:${position}:${hash}`;
+}
+
+// Position of the assistant message a response to this request becomes in the history
+function nextAssistantPosition(requestData) {
+  return Array.isArray(requestData?.messages)
+    ? requestData.messages.filter(msg => msg?.role === 'assistant').length
+    : 0;
+}
+
+// Clean old signatures to prevent memory leaks
+function cleanupSignatures(store) {
+  const active = store.cleanup();
+
+  // Log cleanup summary
+  logger.debug(`Cleanup: ${active} active conversation(s)`);
+}
+
+// Extract thought signatures from Gemini response
+// model is the model that served the response (recorded with each signature)
+// position (see nextAssistantPosition) enables storing signatures on the message text;
+// tool call signatures are stored by tool call id, for every tool call that has one
+function extractThoughtSignatures(responseData, conversationId, model, store, position = null) {
+  try {
+    const data = JSON.parse(responseData.toString());
+
+    // Handle both streaming and non-streaming responses
+    const choices = data.choices || [];
+
+    for (const choice of choices) {
+      const message = choice.message || choice.delta;
+
+      // Signature on the message itself (text-only turns, or text before tool calls)
+      const textSignature = message?.extra_content?.google?.thought_signature;
+      if (textSignature && position !== null) {
+        const key = textSignatureKey(position, message.content);
+        store.set(conversationId, key, textSignature, { model });
+        logger.debug(`Stored signature for ${key}`);
+      }
+
+      if (!message?.tool_calls) continue;
+
+      for (const toolCall of message.tool_calls) {
+        // Validate tool call structure before accessing properties
+        if (!toolCall || typeof toolCall !== 'object') {
+          logger.warn('Invalid tool call (not an object), skipping');
+          continue;
+        }
+        if (!toolCall.id || typeof toolCall.id !== 'string' || toolCall.id.trim() === '') {
+          logger.warn('Tool call missing valid id, skipping');
+          continue;
+        }
+        if (!toolCall.function) {
+          logger.warn(`Tool call ${toolCall.id} missing function, skipping`);
+          continue;
+        }
+        if (!toolCall.function.name) {
+          logger.warn(`Tool call ${toolCall.id} missing function.name, skipping`);
+          continue;
+        }
+
+        const signature = toolCall.extra_content?.google?.thought_signature;
+        if (signature && toolCall.id) {
+          // Store signature with timestamp
+          store.set(conversationId, toolCall.id, signature, { model });
+          logger.debug(`Stored signature for ${toolCall.id}`);
+        }
+      }
+    }
+  } catch (e) {
+    // Not JSON or no tool calls, skip
+    logger.error('Error extracting thought signatures', { error: e.message });
+  }
+}
+
+// Inject thought signatures into Factory request
+// Signatures recorded for a different model than requestData.model (e.g. after a
+// fallback) are not valid for it and are replaced by the workaround signature
+function injectThoughtSignatures(requestData, conversationId, store) {
+  if (!requestData?.messages) return requestData;
+
+  // Get signatures map for this conversation (or empty map if none exists)
+  const signaturesMap = store.getConversation(conversationId);
+
+  // Stored signature for a key, unless it was recorded for another model
+  const lookup = key => {
+    const signatureData = signaturesMap.get(key);
+    if (signatureData?.model && requestData.model && signatureData.model !== requestData.model) {
+      logger.info(`Signature for ${key} came from ${signatureData.model}, not ${requestData.model} - skipping it`);
+      return null;
+    }
+    return signatureData?.signature || null;
+  };
+  const withSignature = (part, signature) => ({
+    ...part,
+    extra_content: { ...part.extra_content, google: { ...part.extra_content?.google, thought_signature: signature } }
+  });
+
+  let position = 0;
+  const messages = requestData.messages.map(msg => {
+    if (msg?.role !== 'assistant') return msg;
+    let signed = msg;
+
+    // Signature that came with the message text goes back on the message
+    const textSignature = lookup(textSignatureKey(position++, msg.content));
+    if (textSignature) signed = withSignature(signed, textSignature);
+
+    if (!Array.isArray(msg.tool_calls) || msg.tool_calls.length === 0) return signed;
+
+    // Every tool call gets the signature it came with (stored, or already in the request);
+    // the first one always needs one (parallel calls rule), so it falls back to the
+    // workaround signature
+    const toolCalls = msg.tool_calls.map((toolCall, idx) => {
+      const signature = lookup(toolCall.id) || toolCall.extra_content?.google?.thought_signature;
+      if (signature) return withSignature(toolCall, signature);
+      return idx === 0 ? withSignature(toolCall, 'skip_thought_signature_validator') : toolCall;
+    });
+
+    return {
+      ...signed,
+      tool_calls: toolCalls
+    };
+  });
+
+  return {
+    ...requestData,
+    messages
+  };
+}
+
+// Helper: Merge one streamed tool_call delta into the accumulator (keyed by index)
+// Returns the accumulated tool call, or null if the delta has no index
+function accumulateToolCallDelta(accumulatedToolCalls, toolCallDelta) {
+  // Each streaming chunk has an index to identify which tool_call it's updating
+  const index = toolCallDelta.index;
+  if (index === undefined) return null;
+
+  // Initialize accumulator for this index if needed
+  if (!accumulatedToolCalls[index]) {
+    accumulatedToolCalls[index] = {
+      id: null,
+      function: { name: null, arguments: '' },
+      extra_content: null
+    };
+  }
+
+  const accumulated = accumulatedToolCalls[index];
+
+  // Merge in new data from this chunk
+  if (toolCallDelta.id) {
+    accumulated.id = toolCallDelta.id;
+  }
+  if (toolCallDelta.function) {
+    if (toolCallDelta.function.name) {
+      accumulated.function.name = toolCallDelta.function.name;
+    }
+    if (toolCallDelta.function.arguments) {
+      accumulated.function.arguments += toolCallDelta.function.arguments;
+    }
+  }
+  if (toolCallDelta.extra_content) {
+    accumulated.extra_content = toolCallDelta.extra_content;
+  }
+
+  return accumulated;
+}
+
+// Helper: Extract signatures from streaming chunks
+// Streaming responses send tool_calls incrementally across multiple chunks
+// We need to accumulate tool_call data by index until we have both id and signature
+function extractSignaturesFromStreamChunks(chunks, accumulatedToolCalls, conversationId, model, store) {
+  for (const chunk of chunks) {
+    const choices = chunk.choices || [];
+
+    for (const choice of choices) {
+      const delta = choice.delta;
+      if (!delta?.tool_calls) continue;
+
+      for (const toolCallDelta of delta.tool_calls) {
+        const accumulated = accumulateToolCallDelta(accumulatedToolCalls, toolCallDelta);
+        if (!accumulated) continue;
+
+        // If we now have both id and signature, store it
+        // (later argument deltas for the same tool call repeat it - skip those)
+        const signature = accumulated.extra_content?.google?.thought_signature;
+        if (accumulated.id && signature && store.get(conversationId, accumulated.id)?.signature !== signature) {
+          // Store signature with timestamp
+          store.set(conversationId, accumulated.id, signature, { model });
+          logger.debug(`Stored signature for ${accumulated.id} (streaming)`);
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  generateConversationId,
+  textSignatureKey,
+  nextAssistantPosition,
+  cleanupSignatures,
+  extractThoughtSignatures,
+  injectThoughtSignatures,
+  accumulateToolCallDelta,
+  extractSignaturesFromStreamChunks
+};
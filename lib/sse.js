@@ -0,0 +1,300 @@
+/**
+ * Server-Sent Events: incremental parser, serializer and the stream processor
+ * that extracts signatures and fixes finish_reason on streamed chat completions
+ */
+
+const { logger } = require('./logger');
+const { extractSignaturesFromStreamChunks, textSignatureKey } = require('./signatures');
+const { convertGeminiErrorToOpenAI } = require('./errors');
+const { createThoughtSplitter } = require('./thinking');
+const { checkStructuredOutput, structuredOutputError } = require('./structured-output');
+
+// Incremental SSE (Server-Sent Events) parser
+// Upstream chunks can split lines, events and multi-byte characters anywhere, so
+// push() buffers partial input and returns only the events it completed.
+// Events: {data, event, id, retry, comments}; data is undefined for comment-only blocks
+function createSSEParser() {
+  const { StringDecoder } = require('string_decoder');
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let current = { comments: [] };
+  let dataLines = [];
+
+  // A blank line ends the current event
+  function dispatch(events) {
+    if (dataLines.length > 0 || current.comments.length > 0 || current.event !== undefined || current.id !== undefined) {
+      if (dataLines.length > 0) current.data = dataLines.join('\n');
+      events.push(current);
+    }
+    current = { comments: [] };
+    dataLines = [];
+  }
+
+  function processLine(line, events) {
+    if (line === '') {
+      dispatch(events);
+      return;
+    }
+
+    // Comment lines (": keep-alive") are kept so they can be forwarded
+    if (line.startsWith(':')) {
+      current.comments.push(line.substring(1).replace(/^ /, ''));
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.substring(0, colon);
+    let value = colon === -1 ? '' : line.substring(colon + 1);
+    if (value.startsWith(' ')) value = value.substring(1);
+
+    if (field === 'data') dataLines.push(value);
+    else if (field === 'event') current.event = value;
+    else if (field === 'id') current.id = value;
+    else if (field === 'retry') current.retry = value;
+    // Unknown fields are ignored, as the SSE spec requires
+  }
+
+  // Process every complete line (LF, CRLF or CR terminated) in the buffer
+  function drain(final) {
+    const events = [];
+    let start = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (ch !== '\n' && ch !== '\r') continue;
+
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (ch === '\r' && i === buffer.length - 1 && !final) break;
+
+      processLine(buffer.substring(start, i), events);
+      if (ch === '\r' && buffer[i + 1] === '\n') i++;
+      start = i + 1;
+    }
+
+    buffer = buffer.substring(start);
+    return events;
+  }
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      return drain(false);
+    },
+
+    // End of stream: an unterminated final line/event still counts
+    end() {
+      buffer += decoder.end();
+      const events = drain(true);
+      if (buffer !== '') {
+        processLine(buffer, events);
+        buffer = '';
+      }
+      dispatch(events);
+      return events;
+    }
+  };
+}
+
+// Serialize a parsed SSE event back to wire format
+function serializeSSEEvent(event) {
+  let text = '';
+  for (const comment of event.comments || []) text += `: ${comment}\n`;
+  if (event.event !== undefined) text += `event: ${event.event}\n`;
+  if (event.id !== undefined) text += `id: ${event.id}\n`;
+  if (event.retry !== undefined) text += `retry: ${event.retry}\n`;
+  if (event.data !== undefined) {
+    for (const line of event.data.split('\n')) text += `data: ${line}\n`;
+  }
+  return `${text}\n`;
+}
+
+// Process the parsed SSE events of one streamed chat completion
+// Works on whole events, so signature extraction and the finish_reason fix don't
+// depend on how upstream split the stream into TCP chunks.
+// write(text) receives serialized events to forward to the client.
+// position (see nextAssistantPosition) enables storing signatures on the message text.
+// includeThoughts (the request asked for thought summaries) moves <thought> text to reasoning_content.
+// responseSchema (original response_format schema) enables checking the streamed structured
+// output: text that doesn't match gets an error event before [DONE] (it can't be repaired anymore).
+function createStreamProcessor({ conversationId, model = null, write, store, position = null, includeThoughts = false, responseSchema = null }) {
+  // Tool calls accumulated across deltas, keyed by index
+  const accumulatedToolCalls = {};
+  // Message text and its signature accumulated across deltas, keyed by choice index
+  const accumulatedText = {};
+  // Choice indexes that produced tool calls (their finish_reason must be "tool_calls")
+  const toolCallChoices = new Set();
+  // Events carrying a finish_reason, held back until the stream is complete
+  const heldFinishEvents = [];
+  // Splitters moving <thought> text to reasoning_content, keyed by choice index
+  const thoughtSplitters = {};
+
+  const stats = { events: 0, contentLength: 0, hasToolCalls: false, finishReason: null, done: false, finishReasonCorrections: 0, structuredOutputErrors: 0 };
+  let structuredOutputChecked = false;
+
+  // Store the signatures that came with message text (complete only once the stream ends)
+  function storeTextSignatures() {
+    if (position === null) return;
+    for (const { content, signature } of Object.values(accumulatedText)) {
+      if (!signature) continue;
+      const key = textSignatureKey(position, content);
+      store.set(conversationId, key, signature, { model });
+      logger.debug(`Stored signature for ${key} (streaming)`);
+    }
+  }
+
+  // Move thought summaries (<thought> tags) from delta.content to delta.reasoning_content
+  // Returns whether the chunk changed; a choice's held-back text is released with its finish_reason
+  function separateThoughts(data) {
+    let changed = false;
+    for (const choice of data.choices || []) {
+      const hasContent = typeof choice.delta?.content === 'string';
+      if (!hasContent && !choice.finish_reason) continue;
+
+      const index = choice.index ?? 0;
+      const splitter = thoughtSplitters[index] || (thoughtSplitters[index] = createThoughtSplitter());
+      const parts = hasContent ? splitter.push(choice.delta.content) : { content: '', reasoning: '' };
+      if (choice.finish_reason) {
+        const rest = splitter.end();
+        parts.content += rest.content;
+        parts.reasoning += rest.reasoning;
+      }
+      if (!parts.reasoning && parts.content === (hasContent ? choice.delta.content : '')) continue;
+
+      choice.delta = { ...choice.delta };
+      if (parts.content) choice.delta.content = parts.content;
+      else delete choice.delta.content;
+      if (parts.reasoning) choice.delta.reasoning_content = parts.reasoning;
+      changed = true;
+    }
+    return changed;
+  }
+
+  // Check the streamed text of every choice that didn't call tools against responseSchema
+  function checkStreamedOutput() {
+    if (!responseSchema || structuredOutputChecked) return;
+    structuredOutputChecked = true;
+
+    for (const [index, { content }] of Object.entries(accumulatedText)) {
+      if (toolCallChoices.has(Number(index))) continue;
+      const { repairs, errors } = checkStructuredOutput(content, responseSchema);
+      if (errors.length === 0) {
+        if (repairs.length > 0) {
+          logger.warn('Streamed structured output needs repairs (already forwarded)', { choice: index, repairs: repairs.map(r => `${r.path} ${r.message}`) });
+        }
+        continue;
+      }
+
+      logger.warn('Streamed structured output does not match the response_format schema', { choice: index, errors });
+      stats.structuredOutputErrors++;
+      write(serializeSSEEvent({ data: JSON.stringify(structuredOutputError(errors, stats.finishReason)) }));
+    }
+  }
+
+  // Forward held finish_reason events, fixing the Gemini bug where a turn with
+  // tool calls reports finish_reason "stop" instead of "tool_calls"
+  function flushFinishEvents() {
+    for (const { event, data } of heldFinishEvents.splice(0)) {
+      let corrected = false;
+      for (const choice of data.choices || []) {
+        if (choice.finish_reason === 'stop' && toolCallChoices.has(choice.index ?? 0)) {
+          choice.finish_reason = 'tool_calls';
+          corrected = true;
+        }
+      }
+
+      if (corrected) {
+        logger.info('Fixed Gemini bug: finish_reason "stop" -> "tool_calls"');
+        stats.finishReasonCorrections++;
+        stats.finishReason = 'tool_calls';
+        write(serializeSSEEvent({ ...event, data: JSON.stringify(data) }));
+      } else {
+        write(serializeSSEEvent(event));
+      }
+    }
+  }
+
+  return {
+    stats,
+    accumulatedToolCalls,
+
+    handleEvent(event) {
+      // Comments and other data-less blocks (keep-alives) pass straight through
+      if (event.data === undefined) {
+        write(serializeSSEEvent(event));
+        return;
+      }
+
+      stats.events++;
+
+      if (event.data === '[DONE]') {
+        flushFinishEvents();
+        checkStreamedOutput();
+        stats.done = true;
+        write(serializeSSEEvent(event));
+        return;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        logger.warn('Non-JSON SSE event forwarded as-is');
+        write(serializeSSEEvent(event));
+        return;
+      }
+
+      // Errors reported mid-stream get the same OpenAI format as error responses
+      if (data.error) {
+        logger.error('Streamed error', { error: data.error });
+        write(serializeSSEEvent({ ...event, data: convertGeminiErrorToOpenAI(event.data) }));
+        return;
+      }
+
+      if (includeThoughts && separateThoughts(data)) event = { ...event, data: JSON.stringify(data) };
+
+      extractSignaturesFromStreamChunks([data], accumulatedToolCalls, conversationId, model, store);
+
+      let hasFinishReason = false;
+      for (const choice of data.choices || []) {
+        if (choice.delta?.tool_calls) {
+          toolCallChoices.add(choice.index ?? 0);
+          stats.hasToolCalls = true;
+        }
+        const text = accumulatedText[choice.index ?? 0] || (accumulatedText[choice.index ?? 0] = { content: '', signature: null });
+        if (typeof choice.delta?.content === 'string') {
+          stats.contentLength += choice.delta.content.length;
+          text.content += choice.delta.content;
+        }
+        if (choice.delta?.extra_content?.google?.thought_signature) {
+          text.signature = choice.delta.extra_content.google.thought_signature;
+        }
+        if (choice.finish_reason) {
+          stats.finishReason = choice.finish_reason;
+          hasFinishReason = true;
+        }
+      }
+
+      if (hasFinishReason) {
+        // May need correction if tool calls show up before the stream ends
+        heldFinishEvents.push({ event, data });
+      } else {
+        // Forward immediately - maintains streaming performance
+        write(serializeSSEEvent(event));
+      }
+    },
+
+    // End of stream: release anything still held back (no [DONE] received)
+    finish() {
+      flushFinishEvents();
+      if (stats.finishReason) checkStreamedOutput();
+      storeTextSignatures();
+      return stats;
+    }
+  };
+}
+
+module.exports = {
+  createSSEParser,
+  serializeSSEEvent,
+  createStreamProcessor
+};
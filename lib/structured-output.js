@@ -0,0 +1,86 @@
+/**
+ * Structured output (response_format json_schema) validation against the original
+ * (unsanitized) schema: Gemini only sees the sanitized schema, so the JSON it returns
+ * is checked, and safely repaired, before it reaches the client
+ */
+
+const { logger } = require('./logger');
+const { validateJsonValue } = require('./tool-calls');
+
+// Original schema of a json_schema response_format, or null
+function responseSchemaOf(responseFormat) {
+  const schema = responseFormat?.type === 'json_schema' ? responseFormat.json_schema?.schema : null;
+  return schema && typeof schema === 'object' ? schema : null;
+}
+
+// Check a structured output text against the schema
+// A ```json fence around the JSON is tolerated (and removed by the repair)
+// Returns {value, repairs, errors}
+function checkStructuredOutput(text, schema) {
+  const result = { value: undefined, repairs: [], errors: [] };
+  const fenced = /^\s*```(?:json)?\s*\n([\s\S]*?)\n?```\s*$/.exec(text || '');
+  if (fenced) result.repairs.push({ path: '$', message: 'removed markdown code fence' });
+
+  try {
+    result.value = JSON.parse(fenced ? fenced[1] : text);
+  } catch (e) {
+    result.errors.push({ path: '$', message: text ? 'not valid JSON' : 'empty response' });
+    return result;
+  }
+
+  result.value = validateJsonValue(result.value, schema, schema, '$', result);
+  return result;
+}
+
+// OpenAI-style error body for structured output that doesn't match the schema
+function structuredOutputError(errors, finishReason = null) {
+  const details = errors.slice(0, 5).map(error => `${error.path} ${error.message}`).join('; ');
+  const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+  const truncated = finishReason === 'length' ? ' (the response was cut off at max_tokens)' : '';
+  return {
+    error: {
+      message: `Gemini returned structured output that does not match the response_format schema${truncated}: ${details}${more}`,
+      type: 'proxy_invalid_structured_output',
+      code: null
+    }
+  };
+}
+
+// Check the message content of a non-streaming chat completion body
+// Choices that called tools instead of answering are skipped
+// Returns {body, changed, errors, finishReason}; body is re-serialized only when something was repaired
+function repairStructuredOutput(responseData, schema) {
+  let data;
+  try {
+    data = JSON.parse(responseData.toString());
+  } catch (e) {
+    return { body: responseData, changed: false, errors: [], finishReason: null };
+  }
+
+  const errors = [];
+  let changed = false;
+  let finishReason = null;
+
+  for (const choice of data.choices || []) {
+    if (choice.message?.tool_calls?.length) continue;
+
+    const checked = checkStructuredOutput(choice.message?.content, schema);
+    if (checked.errors.length > 0) {
+      errors.push(...checked.errors);
+      finishReason = finishReason || choice.finish_reason;
+    } else if (checked.repairs.length > 0) {
+      logger.info('Repaired structured output', { repairs: checked.repairs.map(r => `${r.path} ${r.message}`) });
+      choice.message.content = JSON.stringify(checked.value);
+      changed = true;
+    }
+  }
+
+  return { body: changed ? Buffer.from(JSON.stringify(data)) : responseData, changed, errors, finishReason };
+}
+
+module.exports = {
+  responseSchemaOf,
+  checkStructuredOutput,
+  structuredOutputError,
+  repairStructuredOutput
+};
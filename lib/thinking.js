@@ -0,0 +1,184 @@
+/**
+ * Thinking: reasoning_effort and the X-Thinking-Budget header become Gemini's
+ * thinking_config, and the thought summaries Gemini returns as <thought> tags in
+ * the content are moved to reasoning_content
+ */
+
+const { logger } = require('./logger');
+
+const THOUGHT_OPEN = '<thought>';
+const THOUGHT_CLOSE = '</thought>';
+
+// Thinking controls per model family (first match wins)
+// Gemini 3 takes a thinking_level, Gemini 2.5 a thinking_budget in tokens within [min, max]
+// (0 turns thinking off where the model allows it)
+const THINKING_FAMILIES = [
+  { pattern: /gemini-3[^/]*flash/, levels: { none: 'minimal', minimal: 'minimal', low: 'low', medium: 'medium', high: 'high' } },
+  { pattern: /gemini-3/, levels: { none: 'low', minimal: 'low', low: 'low', medium: 'high', high: 'high' } },
+  { pattern: /gemini-2\.5[^/]*pro/, budgets: { none: 128, minimal: 128, low: 1024, medium: 8192, high: 32768 }, min: 128, max: 32768 },
+  { pattern: /gemini-2\.5[^/]*flash-lite/, budgets: { none: 0, minimal: 512, low: 1024, medium: 8192, high: 24576 }, min: 512, max: 24576, off: true },
+  { pattern: /gemini-2\.5[^/]*flash/, budgets: { none: 0, minimal: 512, low: 1024, medium: 8192, high: 24576 }, min: 1, max: 24576, off: true }
+];
+
+// Token budget -> effort (for models that take a level)
+function effortForBudget(budget) {
+  if (budget === 0) return 'none';
+  if (budget <= 1024) return 'low';
+  if (budget <= 8192) return 'medium';
+  return 'high';
+}
+
+// thinking_config for a model from a reasoning_effort and/or a token budget (-1: dynamic)
+// Returns null for models without thinking controls, or when there is nothing to set
+function thinkingConfigFor(model, { effort = null, budget = null } = {}) {
+  const family = THINKING_FAMILIES.find(entry => entry.pattern.test(model || ''));
+  if (!family) return null;
+
+  if (family.levels) {
+    // Dynamic thinking is the default for these models
+    if (budget === -1) return {};
+    const level = family.levels[budget !== null ? effortForBudget(budget) : effort];
+    return level ? { thinking_level: level } : {};
+  }
+
+  if (budget !== null) {
+    if (budget === -1 || (budget === 0 && family.off)) return { thinking_budget: budget };
+    return { thinking_budget: Math.min(family.max, Math.max(family.min, budget)) };
+  }
+  return Object.prototype.hasOwnProperty.call(family.budgets, effort) ? { thinking_budget: family.budgets[effort] } : {};
+}
+
+// X-Thinking-Budget header value -> integer budget (-1: dynamic), or null
+function parseThinkingBudget(value) {
+  if (value === undefined) return null;
+  const budget = /^\s*-?\d+\s*$/.test(value) ? Number(value) : NaN;
+  if (!Number.isInteger(budget) || budget < -1) {
+    logger.warn(`Ignoring invalid X-Thinking-Budget header "${value}" (expected tokens, 0 or -1)`);
+    return null;
+  }
+  return budget;
+}
+
+// Apply reasoning_effort / the budget to a request for its model
+// reasoning_effort is replaced by extra_body.google.thinking_config (Gemini rejects
+// both together); thinking_config settings sent by the client win. With includeThoughts,
+// thought summaries are requested so they can be returned as reasoning_content.
+// reasoning_content echoed back in assistant messages is dropped.
+function applyThinking(requestData, { budget = null, includeThoughts = false } = {}) {
+  if (!Array.isArray(requestData?.messages)) return requestData;
+
+  let result = requestData;
+  if (requestData.messages.some(msg => msg?.reasoning_content !== undefined)) {
+    result = { ...result, messages: result.messages.map(({ reasoning_content: omitted, ...msg }) => msg) };
+  }
+
+  const config = thinkingConfigFor(requestData.model, { effort: requestData.reasoning_effort, budget });
+  if (config === null) return result;
+
+  const google = requestData.extra_body?.google || {};
+  const thinkingConfig = { ...config, ...google.thinking_config };
+  if (includeThoughts && thinkingConfig.include_thoughts === undefined && thinkingConfig.thinking_budget !== 0) {
+    thinkingConfig.include_thoughts = true;
+  }
+  if (Object.keys(thinkingConfig).length === 0) return result;
+
+  const { reasoning_effort: effort, ...rest } = result;
+  if (effort !== undefined || budget !== null) {
+    logger.debug('Thinking config', { model: requestData.model, effort, budget, thinkingConfig });
+  }
+  return { ...rest, extra_body: { ...rest.extra_body, google: { ...google, thinking_config: thinkingConfig } } };
+}
+
+// Whether a forwarded request asked for thought summaries - only then is <thought> text in
+// the content Gemini's, and not part of an answer that happens to contain the tag
+const requestsThoughts = requestData => requestData?.extra_body?.google?.thinking_config?.include_thoughts === true;
+
+// Length of the longest end of text that could be the start of tag
+function partialTagLength(text, tag) {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.substring(0, length))) return length;
+  }
+  return 0;
+}
+
+// Split streamed content into answer text and <thought> text
+// Tags can be cut anywhere between chunks, so a possible partial tag at the end of a
+// chunk is held back until the next one (or end())
+function createThoughtSplitter() {
+  let inThought = false;
+  let pending = '';
+
+  return {
+    // Returns {content, reasoning} of the text that is certain so far
+    push(text) {
+      let input = pending + text;
+      pending = '';
+      const result = { content: '', reasoning: '' };
+
+      while (input) {
+        const tag = inThought ? THOUGHT_CLOSE : THOUGHT_OPEN;
+        const idx = input.indexOf(tag);
+        const end = idx !== -1 ? idx : input.length - partialTagLength(input, tag);
+        result[inThought ? 'reasoning' : 'content'] += input.substring(0, end);
+
+        if (idx === -1) {
+          pending = input.substring(end);
+          break;
+        }
+        input = input.substring(idx + tag.length);
+        inThought = !inThought;
+      }
+      return result;
+    },
+
+    // Text still held back
+    end() {
+      const result = { content: '', reasoning: '' };
+      result[inThought ? 'reasoning' : 'content'] = pending;
+      pending = '';
+      return result;
+    }
+  };
+}
+
+// Split a complete content string into {content, reasoning}
+function splitThoughts(text) {
+  const splitter = createThoughtSplitter();
+  const first = splitter.push(text);
+  const last = splitter.end();
+  return { content: first.content + last.content, reasoning: first.reasoning + last.reasoning };
+}
+
+// Move <thought> text of a non-streaming chat completion to reasoning_content
+// Returns {body, changed}
+function separateReasoning(responseData) {
+  let data;
+  try {
+    data = JSON.parse(responseData.toString());
+  } catch (e) {
+    return { body: responseData, changed: false };
+  }
+
+  let changed = false;
+  for (const choice of data.choices || []) {
+    const message = choice.message;
+    if (typeof message?.content !== 'string' || !message.content.includes(THOUGHT_OPEN)) continue;
+
+    const { content, reasoning } = splitThoughts(message.content);
+    message.content = content || (message.tool_calls?.length ? null : '');
+    message.reasoning_content = reasoning;
+    changed = true;
+  }
+
+  return { body: changed ? Buffer.from(JSON.stringify(data)) : responseData, changed };
+}
+
+module.exports = {
+  thinkingConfigFor,
+  parseThinkingBudget,
+  applyThinking,
+  requestsThoughts,
+  createThoughtSplitter,
+  splitThoughts,
+  separateReasoning
+};
@@ -0,0 +1,50 @@
+/**
+ * Token estimates for chat completion requests
+ *
+ * Gemini's tokenizer isn't available offline, so counts are approximated from
+ * text length (about 4 characters per token) plus a small per-message overhead
+ */
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Approximate tokens of a text
+function estimateTextTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+// Text of a message's content: a string or an array of parts ({type: 'text', text})
+// Non-text parts (images, files) are counted by their JSON size
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content == null ? '' : JSON.stringify(content);
+  return content.map(part => (typeof part?.text === 'string' ? part.text : JSON.stringify(part))).join('');
+}
+
+// Approximate tokens of one message, including its tool calls
+function estimateMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTextTokens(contentText(message?.content));
+  for (const toolCall of message?.tool_calls || []) {
+    tokens += estimateTextTokens(toolCall.function?.name) + estimateTextTokens(toolCall.function?.arguments);
+  }
+  return tokens;
+}
+
+// Approximate prompt tokens of a request: messages plus tool declarations
+function estimateRequestTokens(requestData) {
+  if (!requestData || typeof requestData !== 'object') return 0;
+  let tokens = 0;
+  for (const message of Array.isArray(requestData.messages) ? requestData.messages : []) {
+    tokens += estimateMessageTokens(message);
+  }
+  if (Array.isArray(requestData.tools)) {
+    tokens += estimateTextTokens(JSON.stringify(requestData.tools));
+  }
+  return tokens;
+}
+
+module.exports = {
+  estimateTextTokens,
+  estimateMessageTokens,
+  estimateRequestTokens
+};
@@ -0,0 +1,411 @@
+/**
+ * Tool call argument validation and repair against the original (unsanitized) tool schemas
+ */
+
+const { logger } = require('./logger');
+const { resolveSchemaRef } = require('./schema');
+
+// Close unterminated strings, objects and arrays in a JSON text
+// Used when Gemini stops mid-way through a tool call's arguments
+function closeTruncatedJson(text) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const ch of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') closers.push('}');
+    else if (ch === '[') closers.push(']');
+    else if (ch === '}' || ch === ']') closers.pop();
+  }
+
+  let closed = escaped ? text.slice(0, -1) : text;
+  if (inString) closed += '"';
+
+  // Drop a dangling separator or a key that never got its value
+  closed = closed
+    .replace(/\s+$/, '')
+    .replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:$/, '')
+    .replace(/,$/, '');
+
+  return closed + closers.reverse().join('');
+}
+
+// Parse tool call arguments, repairing truncated JSON where possible
+// Returns {value, repairs} or {error} when nothing parseable is left
+function parseToolArguments(text) {
+  if (text === undefined || text === null || (typeof text === 'string' && text.trim() === '')) {
+    return { value: {}, repairs: [{ path: '$', message: 'empty arguments replaced with {}' }] };
+  }
+  if (typeof text !== 'string') {
+    return { value: text, repairs: [] };
+  }
+
+  try {
+    return { value: JSON.parse(text), repairs: [] };
+  } catch (e) {
+    // Fall through to repair
+  }
+
+  // Close what's open; if the tail itself is broken (e.g. "tru"), cut back to the previous comma
+  let candidate = text;
+  for (let attempt = 0; attempt < 20 && candidate.length > 0; attempt++) {
+    try {
+      const value = JSON.parse(closeTruncatedJson(candidate));
+      const dropped = text.length - candidate.length;
+      return {
+        value,
+        repairs: [{
+          path: '$',
+          message: dropped > 0
+            ? `repaired truncated JSON (dropped ${dropped} trailing characters)`
+            : 'repaired truncated JSON'
+        }]
+      };
+    } catch (e) {
+      const cut = candidate.lastIndexOf(',');
+      if (cut <= 0) break;
+      candidate = candidate.substring(0, cut);
+    }
+  }
+
+  return { error: 'arguments are not valid JSON' };
+}
+
+// Structural equality for JSON values (const/enum checks)
+function isJsonEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => isJsonEqual(a[key], b[key]));
+}
+
+// JSON Schema type name of a JSON value
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Try to convert a value into one of the allowed types without losing information
+// Returns {value} on success, undefined when no safe conversion exists
+function coerceJsonValue(value, types) {
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if ((types.includes('number') || types.includes('integer')) && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text)) {
+      const number = Number(text);
+      if (types.includes('number') || Number.isInteger(number)) return { value: number };
+    }
+    if (types.includes('boolean') && (text === 'true' || text === 'false')) {
+      return { value: text === 'true' };
+    }
+    if (types.includes('null') && text === 'null') {
+      return { value: null };
+    }
+    // Objects and arrays sometimes arrive double-encoded as JSON strings
+    if ((types.includes('object') || types.includes('array')) && /^[[{]/.test(text)) {
+      try {
+        const parsed = JSON.parse(text);
+        if (types.includes(jsonTypeOf(parsed))) return { value: parsed };
+      } catch (e) {
+        // Not JSON - no safe conversion
+      }
+    }
+  }
+
+  if ((typeof value === 'number' || typeof value === 'boolean') && types.includes('string')) {
+    return { value: String(value) };
+  }
+
+  return undefined;
+}
+
+// Validate a value against the original (unsanitized) JSON Schema, applying safe repairs
+// Repairs and unfixable errors are collected in result.repairs / result.errors as {path, message}
+function validateJsonValue(value, schema, root, path, result, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > 50) return value;
+
+  if (typeof schema.$ref === 'string') {
+    const { $ref: ref, ...siblings } = schema;
+    const target = resolveSchemaRef(root, ref);
+    if (!target || typeof target !== 'object') return value;
+    return validateJsonValue(value, { ...target, ...siblings }, root, path, result, depth + 1);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const part of schema.allOf) {
+      value = validateJsonValue(value, part, root, path, result, depth + 1);
+    }
+  }
+
+  // Unions: use the first branch that validates cleanly (fewest repairs), else the closest one
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) continue;
+
+    let best = null;
+    for (const branch of schema[keyword]) {
+      const trial = { repairs: [], errors: [] };
+      const trialValue = validateJsonValue(value, branch, root, path, trial, depth + 1);
+      const score = trial.errors.length * 1000 + trial.repairs.length;
+      if (!best || score < best.score) best = { score, trial, value: trialValue };
+      if (score === 0) break;
+    }
+    result.repairs.push(...best.trial.repairs);
+    result.errors.push(...best.trial.errors);
+    value = best.value;
+  }
+
+  // A different value is what the model meant, so it is reported rather than replaced
+  // (only a missing const property is filled in, see below)
+  if ('const' in schema && !isJsonEqual(value, schema.const)) {
+    result.errors.push({ path, message: `expected const ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+    return value;
+  }
+
+  // Type check with safe coercion
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? [...schema.type] : [schema.type];
+    if (schema.nullable) types.push('null');
+    if (types.includes('number')) types.push('integer');
+
+    if (!types.includes(jsonTypeOf(value))) {
+      const coerced = coerceJsonValue(value, types);
+      if (coerced) {
+        result.repairs.push({ path, message: `coerced ${JSON.stringify(value)} to ${jsonTypeOf(coerced.value)}` });
+        value = coerced.value;
+      } else {
+        result.errors.push({ path, message: `expected ${types.join(' | ')}, got ${jsonTypeOf(value)}` });
+        return value;
+      }
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => isJsonEqual(option, value))) {
+    // Only a single case-insensitive match is an unambiguous fix
+    const matches = typeof value === 'string'
+      ? schema.enum.filter(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase())
+      : [];
+    if (matches.length === 1) {
+      result.repairs.push({ path, message: `replaced ${JSON.stringify(value)} with enum value ${JSON.stringify(matches[0])}` });
+      value = matches[0];
+    } else {
+      result.errors.push({ path, message: `${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      result.errors.push({ path, message: `shorter than minLength ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      result.errors.push({ path, message: `longer than maxLength ${schema.maxLength}` });
+    }
+    if (typeof schema.pattern === 'string') {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          result.errors.push({ path, message: `does not match pattern ${schema.pattern}` });
+        }
+      } catch (e) {
+        // Pattern not supported by JS regex engine - can't check it
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      result.errors.push({ path, message: `less than minimum ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      result.errors.push({ path, message: `greater than maximum ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      result.errors.push({ path, message: `not greater than exclusiveMinimum ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      result.errors.push({ path, message: `not less than exclusiveMaximum ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf && !Number.isInteger(value / schema.multipleOf)) {
+      result.errors.push({ path, message: `not a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    value = value.map((item, idx) => {
+      const itemSchema = idx < prefixItems.length ? prefixItems[idx] : schema.items;
+      return itemSchema && typeof itemSchema === 'object'
+        ? validateJsonValue(item, itemSchema, root, `${path}[${idx}]`, result, depth + 1)
+        : item;
+    });
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      result.errors.push({ path, message: `fewer than minItems ${schema.minItems}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      result.errors.push({ path, message: `more than maxItems ${schema.maxItems}` });
+    }
+  } else if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+    const patterns = Object.keys(schema.patternProperties || {}).map(pattern => {
+      try {
+        return { regex: new RegExp(pattern, 'u'), schema: schema.patternProperties[pattern] };
+      } catch (e) {
+        return null;
+      }
+    }).filter(Boolean);
+
+    const checked = {};
+    for (const [key, propValue] of Object.entries(value)) {
+      const propPath = `${path}.${key}`;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        checked[key] = validateJsonValue(propValue, properties[key], root, propPath, result, depth + 1);
+        continue;
+      }
+
+      const patternMatch = patterns.find(p => p.regex.test(key));
+      if (patternMatch) {
+        checked[key] = validateJsonValue(propValue, patternMatch.schema, root, propPath, result, depth + 1);
+      } else if (schema.additionalProperties === false) {
+        result.repairs.push({ path: propPath, message: 'dropped unknown property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        checked[key] = validateJsonValue(propValue, schema.additionalProperties, root, propPath, result, depth + 1);
+      } else {
+        checked[key] = propValue;
+      }
+    }
+
+    for (const key of schema.required || []) {
+      if (key in checked) continue;
+
+      // A missing property with a const value can only ever have that value
+      const propSchema = properties[key];
+      if (propSchema && 'const' in propSchema) {
+        checked[key] = propSchema.const;
+        result.repairs.push({ path: `${path}.${key}`, message: `filled in missing const ${JSON.stringify(propSchema.const)}` });
+      } else {
+        result.errors.push({ path: `${path}.${key}`, message: 'missing required property' });
+      }
+    }
+
+    value = checked;
+  }
+
+  return value;
+}
+
+// Validate and repair a list of complete tool calls against the original request tools
+// Returns {toolCalls, reports, changed}; reports only lists calls with repairs or errors
+function checkToolCalls(toolCalls, originalTools) {
+  const reports = [];
+  let changed = false;
+
+  const checkedCalls = toolCalls.map(toolCall => {
+    const name = toolCall?.function?.name;
+    if (!name) return toolCall;
+
+    const tool = (originalTools || []).find(t => t?.function?.name === name);
+    if (!tool) {
+      reports.push({ id: toolCall.id, name, repairs: [], errors: [{ path: '$', message: 'unknown tool' }] });
+      return toolCall;
+    }
+
+    const parsed = parseToolArguments(toolCall.function.arguments);
+    if (parsed.error) {
+      reports.push({ id: toolCall.id, name, repairs: [], errors: [{ path: '$', message: parsed.error }] });
+      return toolCall;
+    }
+
+    const result = { repairs: [...parsed.repairs], errors: [] };
+    const schema = tool.function.parameters;
+    const value = schema ? validateJsonValue(parsed.value, schema, schema, '$', result) : parsed.value;
+
+    if (result.repairs.length === 0 && result.errors.length === 0) return toolCall;
+    reports.push({ id: toolCall.id, name, repairs: result.repairs, errors: result.errors });
+    if (result.repairs.length === 0) return toolCall;
+
+    changed = true;
+    return {
+      ...toolCall,
+      function: { ...toolCall.function, arguments: JSON.stringify(value) }
+    };
+  });
+
+  return { toolCalls: checkedCalls, reports, changed };
+}
+
+// Log tool call validation reports
+function logToolCallReports(reports, streaming = false) {
+  for (const report of reports) {
+    const where = streaming ? ' (streaming, not repaired)' : '';
+    if (report.repairs.length > 0 && !streaming) {
+      logger.info(`Repaired arguments for ${report.name} (${report.id})`, { repairs: report.repairs.map(r => `${r.path} ${r.message}`) });
+    }
+    if (report.errors.length > 0 || (streaming && report.repairs.length > 0)) {
+      logger.warn(`Tool call arguments invalid${where}`, { toolCall: report });
+    }
+  }
+}
+
+// Validate and repair tool call arguments in a non-streaming chat completion body
+// Returns {body, reports, changed}; body is re-serialized only when something was repaired
+function repairResponseToolCalls(responseData, originalTools) {
+  let data;
+  try {
+    data = JSON.parse(responseData.toString());
+  } catch (e) {
+    return { body: responseData, reports: [], changed: false };
+  }
+
+  const reports = [];
+  let changed = false;
+
+  for (const choice of data.choices || []) {
+    if (!Array.isArray(choice.message?.tool_calls)) continue;
+
+    const checked = checkToolCalls(choice.message.tool_calls, originalTools);
+    reports.push(...checked.reports);
+    if (checked.changed) {
+      choice.message.tool_calls = checked.toolCalls;
+      changed = true;
+    }
+  }
+
+  return {
+    body: changed ? Buffer.from(JSON.stringify(data)) : responseData,
+    reports,
+    changed
+  };
+}
+
+// Encode unrepaired tool call errors for the x-proxy-tool-call-errors response header
+// Header values must stay ASCII and reasonably small (details are in the log)
+function formatToolCallErrorsHeader(reports) {
+  const failed = reports.filter(report => report.errors.length > 0);
+  if (failed.length === 0) return null;
+
+  let header = JSON.stringify(failed.map(report => ({ id: report.id, name: report.name, errors: report.errors })));
+  if (header.length > 4096) {
+    header = JSON.stringify(failed.map(report => ({ id: report.id, name: report.name, errors: report.errors.length })));
+  }
+
+  return header.replace(/[\u007f-\uffff]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+module.exports = {
+  closeTruncatedJson,
+  parseToolArguments,
+  validateJsonValue,
+  checkToolCalls,
+  logToolCallReports,
+  repairResponseToolCalls,
+  formatToolCallErrorsHeader
+};
@@ -0,0 +1,279 @@
+/**
+ * Upstream transports: network (http/https), recording and replay
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { logger, requestContext, maskApiKey, redactSecrets } = require('./logger');
+
+// Upstream transports: request(options, onResponse) with the semantics of https.request
+// Record mode wraps the network transport, replay mode replaces it
+
+// Network transport for the upstream URL
+// Plain http:// upstreams (e.g. mock-gemini.js) are supported for local testing
+function createNetworkTransport(upstreamUrl) {
+  const client = upstreamUrl.protocol === 'http:' ? http : https;
+  return {
+    request: (options, onResponse) => client.request(options, onResponse)
+  };
+}
+
+// JSON with sorted object keys, so equal bodies serialize identically
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Identify a client request across runs: method, path (without query) and normalized body
+// The client's original body is used, so recordings still match after sanitizer changes
+function exchangeKey(method, path, originalBody) {
+  const text = originalBody ? originalBody.toString() : '';
+  let normalized;
+  try {
+    normalized = canonicalJson(JSON.parse(text));
+  } catch (e) {
+    normalized = text;
+  }
+  return crypto.createHash('sha256').update(`${method} ${path.split('?')[0]}\n${normalized}`).digest('hex');
+}
+
+// Parse a recorded body as JSON where possible, for readable recordings
+function parseRecordedBody(buffer) {
+  const text = buffer ? buffer.toString() : '';
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+// Save every upstream exchange to dir as one JSON file per attempt:
+// the client's original body, the sanitized/signed body sent upstream and the raw
+// response chunks (base64, byte-exact) with their arrival time (ms after the response started).
+// Failed exchanges are saved too, with the error and when it happened: a request that
+// never got a response, or a response that was cut off before it ended
+function createRecordingTransport(dir, transport) {
+  const fs = require('fs');
+  const path = require('path');
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    request(options, onResponse) {
+      const context = requestContext.getStore() || {};
+      context.upstreamAttempts = (context.upstreamAttempts || 0) + 1;
+      const attempt = context.upstreamAttempts;
+      const sent = [];
+      const requestStart = Date.now();
+      let response = null;
+      let saved = false;
+
+      // Write the exchange file once, whichever of end, error or close comes first
+      const save = error => {
+        if (saved) return;
+        saved = true;
+
+        const headers = { ...options.headers };
+        for (const name of ['authorization', 'x-goog-api-key']) {
+          if (headers[name]) headers[name] = maskApiKey(String(headers[name]));
+        }
+        const exchange = {
+          key: exchangeKey(options.method, options.path, context.originalBody),
+          requestId: context.requestId,
+          attempt,
+          timestamp: new Date().toISOString(),
+          request: {
+            method: options.method,
+            path: redactSecrets(options.path),
+            headers,
+            original: parseRecordedBody(context.originalBody),
+            upstream: parseRecordedBody(Buffer.concat(sent))
+          },
+          response: response && {
+            statusCode: response.res.statusCode,
+            headers: response.res.headers,
+            chunks: response.chunks
+          }
+        };
+        if (error) exchange.error = error;
+
+        const fileName = `${exchange.timestamp.replace(/[:.]/g, '-')}-${context.requestId || 'request'}-${attempt}.json`;
+        try {
+          fs.writeFileSync(path.join(dir, fileName), JSON.stringify(exchange, null, 2));
+          logger.debug(`Recorded upstream exchange ${fileName}`);
+        } catch (e) {
+          logger.error('Error recording upstream exchange', { file: fileName, error: e.message });
+        }
+      };
+
+      // t: ms after the response started (or after the request was sent, without a response)
+      const failure = (error, startTime) => ({
+        t: Date.now() - startTime,
+        message: error?.message || 'closed before the response ended',
+        ...(error?.code && { code: error.code })
+      });
+
+      const req = transport.request(options, res => {
+        const startTime = Date.now();
+        response = { res, chunks: [] };
+
+        res.on('data', chunk => {
+          response.chunks.push({ t: Date.now() - startTime, base64: chunk.toString('base64') });
+        });
+        res.on('end', () => save());
+        res.on('error', error => save(failure(error, startTime)));
+        res.on('close', () => {
+          if (!res.complete) save(failure(null, startTime));
+        });
+
+        onResponse(res);
+      });
+
+      req.on('error', error => {
+        if (!response) save(failure(error, requestStart));
+      });
+      req.on('close', () => {
+        if (!response) save(failure(null, requestStart));
+      });
+
+      // Capture the body as it is written upstream
+      const write = req.write.bind(req);
+      req.write = (chunk, ...args) => {
+        sent.push(Buffer.from(chunk));
+        return write(chunk, ...args);
+      };
+      return req;
+    }
+  };
+}
+
+// Serve recorded exchanges without any network access
+// A client request replays the attempts of the next recorded request with the same key,
+// in order (retries, key rotation and fallbacks replay as recorded), with the original chunk timing
+function createReplayTransport(dir) {
+  const fs = require('fs');
+  const path = require('path');
+  const { EventEmitter } = require('events');
+  const { PassThrough } = require('stream');
+
+  // key -> recorded client requests, each a list of exchanges ordered by attempt
+  const recordings = new Map();
+  const files = fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+  const groups = new Map();
+  for (const name of files) {
+    const exchange = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    const groupId = `${exchange.key}:${exchange.requestId}`;
+    if (!groups.has(groupId)) {
+      groups.set(groupId, []);
+      if (!recordings.has(exchange.key)) recordings.set(exchange.key, []);
+      recordings.get(exchange.key).push(groups.get(groupId));
+    }
+    groups.get(groupId).push(exchange);
+  }
+  for (const exchanges of groups.values()) exchanges.sort((a, b) => a.attempt - b.attempt);
+  const replayCounts = new Map();
+
+  return {
+    // Number of recorded exchanges
+    size: files.length,
+
+    request(options, onResponse) {
+      const context = requestContext.getStore() || {};
+      const req = new EventEmitter();
+      const timers = [];
+      let destroyed = false;
+
+      req.write = () => true;
+      req.setTimeout = () => req;
+      req.destroy = () => {
+        destroyed = true;
+        timers.forEach(clearTimeout);
+        return req;
+      };
+
+      req.end = () => {
+        setImmediate(() => {
+          if (destroyed) return;
+
+          // First attempt of a client request picks the next recording for its key;
+          // once all were used, the last one is served again
+          if (!context.replayExchanges) {
+            const key = exchangeKey(options.method, options.path, context.originalBody);
+            const candidates = recordings.get(key) || [];
+            const used = replayCounts.get(key) || 0;
+            replayCounts.set(key, used + 1);
+            context.replayExchanges = candidates[Math.min(used, candidates.length - 1)] || [];
+            context.upstreamAttempts = 0;
+          }
+          const exchanges = context.replayExchanges;
+          const exchange = exchanges[Math.min(context.upstreamAttempts++, exchanges.length - 1)];
+
+          const res = new PassThrough();
+          if (!exchange) {
+            logger.warn('No recorded exchange matches this request');
+            res.statusCode = 502;
+            res.headers = { 'content-type': 'application/json' };
+            onResponse(res);
+            res.end(JSON.stringify({
+              error: { code: 502, message: 'No recorded exchange matches this request (replay mode)', status: 'REPLAY_MISS' }
+            }));
+            return;
+          }
+
+          const { error } = exchange;
+          const recordedError = () => Object.assign(new Error(error.message), error.code ? { code: error.code } : {});
+
+          // The request failed before a response arrived
+          if (!exchange.response) {
+            timers.push(setTimeout(() => {
+              if (!destroyed) req.emit('error', recordedError());
+            }, error.t));
+            return;
+          }
+
+          res.statusCode = exchange.response.statusCode;
+          res.headers = { ...exchange.response.headers };
+          onResponse(res);
+
+          // Chunks are written one after another with their recorded gaps
+          // A response that was cut off closes without 'end', as a dropped connection does
+          // (and like an upstream response, only errors when someone listens for it)
+          const { chunks } = exchange.response;
+          const writeChunk = (idx, previousTime) => {
+            if (destroyed) return;
+            if (idx >= chunks.length) {
+              if (!error) {
+                res.end();
+                return;
+              }
+              timers.push(setTimeout(() => {
+                if (!destroyed) res.destroy(res.listenerCount('error') > 0 ? recordedError() : undefined);
+              }, Math.max(0, error.t - previousTime)));
+              return;
+            }
+            const chunk = chunks[idx];
+            timers.push(setTimeout(() => {
+              if (destroyed) return;
+              res.write(Buffer.from(chunk.base64, 'base64'));
+              writeChunk(idx + 1, chunk.t);
+            }, Math.max(0, chunk.t - previousTime)));
+          };
+          writeChunk(0, 0);
+        });
+        return req;
+      };
+
+      return req;
+    }
+  };
+}
+
+module.exports = {
+  createNetworkTransport,
+  createRecordingTransport,
+  createReplayTransport,
+  exchangeKey
+};
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * Mock Gemini Upstream
+ *
+ * A fake Gemini API speaking the /v1beta/openai/chat/completions dialect (and the
+ * native models/{model}:generateContent / :streamGenerateContent API), used to
+ * exercise the proxy's fault handling without the real API. Each request is
+ * answered with the next response of a scenario file, which can inject:
+ * - 429 with retry-after, 503 bursts and other error statuses
+ * - SSE streams split mid-JSON, slow chunks, idle stalls and dropped connections
+ * - Tool calls with finish_reason "stop" and missing thought_signature
+ * - gzip-compressed bodies (buffered and streaming)
+ * - Thought summaries (<thought> tags, or thought parts natively) when requested
+ *
+ * Like Gemini, requests replaying tool calls without a thought_signature are
+ * rejected with 400, so signature injection can be verified end to end.
+ *
+ * Usage: node mock-gemini.js [--port 8320] [--scenario scenario.json]
+ *        node gemini-proxy.js --upstream http://localhost:8320
+ */
+
+const http = require('http');
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Used when no scenario file is given
+const DEFAULT_SCENARIO = {
+  responses: [{ content: 'Hello from mock Gemini' }]
+};
+
+// Gemini status names for error bodies
+const ERROR_STATUS_NAMES = {
+  400: 'INVALID_ARGUMENT',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE',
+  504: 'DEADLINE_EXCEEDED'
+};
+
+// Parse --port and --scenario (also --flag=value)
+function parseArgs(argv) {
+  const args = { port: 8320, scenario: null };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = inline !== undefined ? inline : argv[++i];
+
+    if (flag === '--port') {
+      args.port = Number(value);
+    } else if (flag === '--scenario') {
+      args.scenario = value;
+    } else {
+      throw new Error(`unknown option ${argv[i]}`);
+    }
+  }
+  if (!Number.isInteger(args.port) || args.port < 1 || args.port > 65535) {
+    throw new Error('--port must be a port number (1-65535)');
+  }
+  return args;
+}
+
+// Load a scenario file: {responses: [...], loop: false, validateSignatures: true}
+// Responses with "repeat": n are served n times in a row
+function loadScenario(filePath) {
+  const scenario = filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : DEFAULT_SCENARIO;
+  if (!Array.isArray(scenario.responses) || scenario.responses.length === 0) {
+    throw new Error('scenario must have a non-empty "responses" list');
+  }
+
+  const queue = [];
+  for (const response of scenario.responses) {
+    for (let i = 0; i < (response.repeat || 1); i++) queue.push(response);
+  }
+  return {
+    queue,
+    loop: scenario.loop === true,
+    validateSignatures: scenario.validateSignatures !== false
+  };
+}
+
+// Gemini-style error body
+function errorBody(status, message) {
+  return JSON.stringify({
+    error: { code: status, message, status: ERROR_STATUS_NAMES[status] || 'UNKNOWN' }
+  });
+}
+
+// Gemini requires the thought_signature on the first tool call of every assistant turn
+// Returns the index of the first offending message, or -1
+function findMissingSignature(requestData) {
+  return (requestData.messages || []).findIndex(msg =>
+    msg.role === 'assistant' &&
+    Array.isArray(msg.tool_calls) &&
+    msg.tool_calls.length > 0 &&
+    !msg.tool_calls[0].extra_content?.google?.thought_signature);
+}
+
+// Native API version of findMissingSignature: model turns whose first functionCall part
+// has no thoughtSignature. Returns the index of the first offending content, or -1
+function findMissingNativeSignature(requestData) {
+  return (requestData.contents || []).findIndex(content => {
+    const call = content.role === 'model' && (content.parts || []).find(part => part.functionCall);
+    return call && !call.thoughtSignature;
+  });
+}
+
+// Tool calls of a response; only the first carries the signature (parallel call rule)
+// spec.signature: true (generated, default), false (omitted) or a fixed string
+function buildToolCalls(spec, requestNumber) {
+  return (spec.toolCalls || []).map((call, idx) => {
+    const toolCall = {
+      id: call.id || `call_${requestNumber}_${idx}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+      }
+    };
+    if (idx === 0 && spec.signature !== false) {
+      const signature = typeof spec.signature === 'string' ? spec.signature : `mock-signature-${requestNumber}`;
+      toolCall.extra_content = { google: { thought_signature: signature } };
+    }
+    return toolCall;
+  });
+}
+
+// Rough token counts (4 characters per token)
+function buildUsage(requestData, completionText) {
+  const promptTokens = Math.ceil(JSON.stringify(requestData.messages || []).length / 4);
+  const completionTokens = Math.ceil(completionText.length / 4);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+// Default finish_reason follows the response; spec.finishReason overrides it
+// (e.g. "stop" with tool calls reproduces the Gemini bug the proxy corrects)
+function finishReasonFor(spec, toolCalls) {
+  return spec.finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop');
+}
+
+// Non-streaming chat completion
+function buildCompletion(spec, requestData, toolCalls, requestNumber) {
+  const content = spec.content ?? (toolCalls.length > 0 ? null : '');
+  const message = { role: 'assistant', content };
+  if (spec.textSignature) message.extra_content = { google: { thought_signature: spec.textSignature } };
+  if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+  return JSON.stringify({
+    id: `mock-${requestNumber}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: requestData.model,
+    choices: [{ index: 0, message, finish_reason: finishReasonFor(spec, toolCalls) }],
+    usage: buildUsage(requestData, JSON.stringify(message))
+  });
+}
+
+// SSE stream text: content delta, tool call deltas (arguments split over two
+// deltas to exercise accumulation), the finish event and [DONE]
+function buildStreamEvents(spec, requestData, toolCalls, requestNumber) {
+  const base = {
+    id: `mock-${requestNumber}`,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: requestData.model
+  };
+  const event = (delta, finishReason = null, extra = {}) =>
+    `data: ${JSON.stringify({ ...base, choices: [{ index: 0, delta, finish_reason: finishReason }], ...extra })}\n\n`;
+
+  // Thought summaries arrive with their tags cut between deltas
+  const content = spec.content ?? '';
+  const cuts = content.startsWith('<thought>') ? [5, content.indexOf('</thought>') + 4] : [];
+  const pieces = [0, ...cuts].map((start, idx, starts) => content.substring(start, starts[idx + 1]));
+
+  const firstDelta = { role: 'assistant', content: pieces[0] };
+  if (spec.textSignature) firstDelta.extra_content = { google: { thought_signature: spec.textSignature } };
+  const events = [event(firstDelta), ...pieces.slice(1).map(piece => event({ content: piece }))];
+
+  toolCalls.forEach((toolCall, index) => {
+    const args = toolCall.function.arguments;
+    const half = Math.ceil(args.length / 2);
+    events.push(event({
+      tool_calls: [{ ...toolCall, index, function: { name: toolCall.function.name, arguments: args.substring(0, half) } }]
+    }));
+    events.push(event({ tool_calls: [{ index, function: { arguments: args.substring(half) } }] }));
+  });
+
+  if (spec.streamError) {
+    events.push(`data: ${errorBody(spec.streamError.code || 500, spec.streamError.message || 'Internal error')}\n\n`);
+  }
+
+  events.push(event({}, finishReasonFor(spec, toolCalls), { usage: buildUsage(requestData, JSON.stringify(toolCalls) + (spec.content || '')) }));
+  events.push('data: [DONE]\n\n');
+  return events;
+}
+
+// Native model turn parts: thought summary, text, then one functionCall part per tool call
+function buildNativeParts(spec, toolCalls) {
+  const parts = [];
+  if (spec.nativeThought) parts.push({ text: spec.nativeThought, thought: true });
+  if (spec.content) {
+    const part = { text: spec.content };
+    if (spec.textSignature) part.thoughtSignature = spec.textSignature;
+    parts.push(part);
+  }
+  for (const toolCall of toolCalls) {
+    const part = { functionCall: { name: toolCall.function.name, args: JSON.parse(toolCall.function.arguments) } };
+    if (toolCall.extra_content) part.thoughtSignature = toolCall.extra_content.google.thought_signature;
+    parts.push(part);
+  }
+  return parts;
+}
+
+// Native finishReason (spec.finishReason uses the OpenAI names)
+function nativeFinishReason(spec) {
+  return spec.finishReason === 'length' ? 'MAX_TOKENS' : 'STOP';
+}
+
+// Rough native usageMetadata (4 characters per token)
+function buildNativeUsage(requestData, completionText) {
+  const promptTokenCount = Math.ceil(JSON.stringify(requestData.contents || []).length / 4);
+  const candidatesTokenCount = Math.ceil(completionText.length / 4);
+  return { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount };
+}
+
+// Non-streaming native GenerateContentResponse
+function buildNativeResponse(spec, requestData, toolCalls, requestNumber, model) {
+  const parts = buildNativeParts(spec, toolCalls);
+  return JSON.stringify({
+    candidates: [{ index: 0, content: { role: 'model', parts }, finishReason: nativeFinishReason(spec) }],
+    usageMetadata: buildNativeUsage(requestData, JSON.stringify(parts)),
+    modelVersion: model,
+    responseId: `mock-${requestNumber}`
+  });
+}
+
+// Native SSE stream (?alt=sse): one chunk per part, finishReason and usage on the last
+function buildNativeStreamEvents(spec, requestData, toolCalls, requestNumber, model) {
+  const parts = buildNativeParts(spec, toolCalls);
+  const chunk = (chunkParts, final) => {
+    const candidate = { index: 0, content: { role: 'model', parts: chunkParts } };
+    const data = { candidates: [candidate], modelVersion: model, responseId: `mock-${requestNumber}` };
+    if (final) {
+      candidate.finishReason = nativeFinishReason(spec);
+      data.usageMetadata = buildNativeUsage(requestData, JSON.stringify(parts));
+    }
+    return `data: ${JSON.stringify(data)}\n\n`;
+  };
+
+  if (parts.length === 0) return [chunk([{ text: '' }], true)];
+  const events = parts.map((part, idx) => chunk([part], idx === parts.length - 1));
+  if (spec.streamError) {
+    events.splice(events.length - 1, 0, `data: ${errorBody(spec.streamError.code || 500, spec.streamError.message || 'Internal error')}\n\n`);
+  }
+  return events;
+}
+
+// Cut the stream into the chunks written to the socket
+// spec.splitChunks: n bytes per chunk (splits JSON and UTF-8 sequences), default one event per chunk
+function chunkStream(events, spec) {
+  if (!spec.splitChunks) return events.map(text => Buffer.from(text));
+
+  const buffer = Buffer.from(events.join(''));
+  const chunks = [];
+  for (let offset = 0; offset < buffer.length; offset += spec.splitChunks) {
+    chunks.push(buffer.subarray(offset, offset + spec.splitChunks));
+  }
+  return chunks;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Write chunks with the scenario's pacing and faults
+// chunkDelayMs: pause between chunks; stallMs: one long pause after stallAfterChunks chunks;
+// disconnectAfterChunks: drop the connection mid-stream
+async function writeChunks(res, chunks, spec) {
+  const gzip = spec.gzip ? zlib.createGzip() : null;
+  if (gzip) gzip.pipe(res);
+
+  for (let idx = 0; idx < chunks.length; idx++) {
+    if (spec.disconnectAfterChunks !== undefined && idx === spec.disconnectAfterChunks) {
+      res.socket.destroy();
+      return;
+    }
+    if (spec.stallMs && idx === (spec.stallAfterChunks ?? 1)) await sleep(spec.stallMs);
+    else if (idx > 0 && spec.chunkDelayMs) await sleep(spec.chunkDelayMs);
+    if (res.destroyed) return;
+
+    if (gzip) {
+      gzip.write(chunks[idx]);
+      // Flush so every chunk leaves as its own compressed block
+      await new Promise(resolve => gzip.flush(resolve));
+    } else {
+      res.write(chunks[idx]);
+    }
+  }
+
+  if (gzip) gzip.end();
+  else res.end();
+}
+
+// Answer one chat completion request with the next scripted response
+// native: {model, stream} for native API requests
+async function respond(spec, requestData, requestNumber, res, native = null) {
+  const headers = { ...(spec.headers || {}) };
+  if (spec.gzip) headers['content-encoding'] = 'gzip';
+  if (spec.delayMs) await sleep(spec.delayMs);
+
+  // Error statuses (429, 503, ...) with a Gemini error body
+  const status = spec.status || 200;
+  if (status >= 400) {
+    const body = Buffer.from(errorBody(status, spec.message || `Mock error ${status}`));
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    await writeChunks(res, [body], spec);
+    return status;
+  }
+
+  const toolCalls = buildToolCalls(spec, requestNumber);
+
+  // Thought summaries only come back when the request asks for them
+  const includeThoughts = native
+    ? requestData.generationConfig?.thinkingConfig?.includeThoughts
+    : requestData.extra_body?.google?.thinking_config?.include_thoughts;
+  if (spec.thought && includeThoughts) {
+    spec = native
+      ? { ...spec, nativeThought: spec.thought }
+      : { ...spec, content: `<thought>${spec.thought}</thought>${spec.content ?? ''}` };
+  }
+
+  if (native?.stream) {
+    res.writeHead(status, { 'content-type': 'text/event-stream', ...headers });
+    await writeChunks(res, chunkStream(buildNativeStreamEvents(spec, requestData, toolCalls, requestNumber, native.model), spec), spec);
+  } else if (native) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    await writeChunks(res, [Buffer.from(buildNativeResponse(spec, requestData, toolCalls, requestNumber, native.model))], spec);
+  } else if (requestData.stream === true) {
+    res.writeHead(status, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', ...headers });
+    await writeChunks(res, chunkStream(buildStreamEvents(spec, requestData, toolCalls, requestNumber), spec), spec);
+  } else {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    await writeChunks(res, [Buffer.from(buildCompletion(spec, requestData, toolCalls, requestNumber))], spec);
+  }
+  return status;
+}
+
+// Create the mock server for a loaded scenario
+function createMockServer(scenario) {
+  let requestCount = 0;
+
+  return http.createServer((req, res) => {
+    let body = [];
+    req.on('data', chunk => body.push(chunk));
+    req.on('end', async () => {
+      body = Buffer.concat(body).toString();
+
+      // Native API: /v1beta/models/{model}:generateContent or :streamGenerateContent
+      const nativeMatch = /\/models\/([^/:]+):(generateContent|streamGenerateContent)$/.exec(req.url.split('?')[0]);
+      const native = nativeMatch && { model: decodeURIComponent(nativeMatch[1]), stream: nativeMatch[2] === 'streamGenerateContent' };
+
+      if (req.method !== 'POST' || (!native && !req.url.split('?')[0].endsWith('/chat/completions'))) {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end(errorBody(404, `Mock Gemini does not serve ${req.method} ${req.url}`));
+        return;
+      }
+
+      let requestData;
+      try {
+        requestData = JSON.parse(body);
+      } catch (e) {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(errorBody(400, `Invalid JSON payload: ${e.message}`));
+        return;
+      }
+
+      const requestNumber = ++requestCount;
+
+      // Checked before consuming a scripted response
+      const missing = !scenario.validateSignatures ? -1
+        : (native ? findMissingNativeSignature(requestData) : findMissingSignature(requestData));
+      if (missing >= 0) {
+        const location = native ? `contents[${missing}]` : `messages[${missing}]`;
+        console.log(`[Mock] #${requestNumber} ${req.url} -> 400 (${location} missing thought_signature)`);
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(errorBody(400, `Function call is missing a thought_signature in functionCall parts. ${location}`));
+        return;
+      }
+
+      // Next scripted response; the last one repeats unless the scenario loops
+      const index = scenario.loop
+        ? (requestNumber - 1) % scenario.queue.length
+        : Math.min(requestNumber - 1, scenario.queue.length - 1);
+      const spec = scenario.queue[index];
+
+      try {
+        const status = await respond(spec, requestData, requestNumber, res, native);
+        console.log(`[Mock] #${requestNumber} ${req.url} -> ${status}${requestData.stream || native?.stream ? ' (stream)' : ''}`);
+      } catch (e) {
+        console.error(`[Mock] #${requestNumber} Error: ${e.message}`);
+        res.destroy();
+      }
+    });
+  });
+}
+
+if (require.main === module) {
+  let args;
+  let scenario;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    scenario = loadScenario(args.scenario);
+  } catch (e) {
+    console.error(`[Error] ${e.message}`);
+    console.error('Usage: node mock-gemini.js [--port 8320] [--scenario scenario.json]');
+    process.exit(1);
+  }
+
+  createMockServer(scenario).listen(args.port, () => {
+    console.log(`[Mock] Gemini mock listening on http://localhost:${args.port} (${scenario.queue.length} scripted response(s))`);
+    console.log(`[Mock] Point the proxy at it: node gemini-proxy.js --upstream http://localhost:${args.port}`);
+  });
+}
+
+module.exports = { createMockServer, loadScenario };
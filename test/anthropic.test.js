@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { fromMessagesRequest, toMessagesResponse, createAnthropicStreamTranslator, createMessagesExchange } = require('../lib/anthropic');
+
+test('fromMessagesRequest lowers system, tool_use and tool_result blocks', () => {
+  const chat = fromMessagesRequest({
+    model: 'gemini-2.5-pro',
+    system: [{ type: 'text', text: 'Be brief' }],
+    max_tokens: 100,
+    messages: [
+      { role: 'user', content: 'List files' },
+      { role: 'assistant', content: [{ type: 'text', text: 'Sure' }, { type: 'tool_use', id: 't1', name: 'LS', input: { path: '/' } }] },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 't1', content: 'permission denied', is_error: true },
+          { type: 'text', text: 'Try again' }
+        ]
+      }
+    ],
+    tools: [{ name: 'LS', description: 'List', input_schema: { type: 'object' } }, { type: 'web_search_20250305', name: 'web_search' }],
+    tool_choice: { type: 'any' },
+    thinking: { type: 'enabled', budget_tokens: 2048 }
+  });
+
+  assert.deepStrictEqual(chat.messages, [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'List files' },
+    { role: 'assistant', content: 'Sure', tool_calls: [{ id: 't1', type: 'function', function: { name: 'LS', arguments: '{"path":"/"}' } }] },
+    { role: 'tool', tool_call_id: 't1', content: 'Error: permission denied' },
+    { role: 'user', content: 'Try again' }
+  ]);
+  assert.deepStrictEqual(chat.tools, [{ type: 'function', function: { name: 'LS', description: 'List', parameters: { type: 'object' } } }]);
+  assert.strictEqual(chat.tool_choice, 'required');
+  assert.strictEqual(chat.max_tokens, 100);
+  assert.strictEqual(chat.extra_body.google.thinking_config.thinking_budget, 2048);
+});
+
+test('fromMessagesRequest rejects requests without messages', () => {
+  assert.throws(() => fromMessagesRequest({ model: 'm' }), /messages: must be a non-empty array/);
+  assert.throws(() => fromMessagesRequest({ model: 'm', messages: [] }), /messages: must be a non-empty array/);
+});
+
+test('toMessagesResponse returns thinking, text and tool_use blocks', () => {
+  const response = toMessagesResponse({
+    model: 'gemini-2.5-pro',
+    choices: [{
+      finish_reason: 'stop',
+      message: {
+        role: 'assistant',
+        reasoning_content: 'Need to list',
+        content: 'Listing',
+        tool_calls: [{ id: 't1', type: 'function', function: { name: 'LS', arguments: '{"path":"/"}' } }]
+      }
+    }],
+    usage: { prompt_tokens: 12, completion_tokens: 7 }
+  });
+
+  assert.deepStrictEqual(response.content, [
+    { type: 'thinking', thinking: 'Need to list', signature: '' },
+    { type: 'text', text: 'Listing' },
+    { type: 'tool_use', id: 't1', name: 'LS', input: { path: '/' } }
+  ]);
+  // Gemini's finish_reason "stop" with tool calls still asks the client to run them
+  assert.strictEqual(response.stop_reason, 'tool_use');
+  assert.deepStrictEqual(response.usage, { input_tokens: 12, output_tokens: 7 });
+});
+
+test('stream translator emits content blocks and the real usage in message_delta', () => {
+  const translator = createAnthropicStreamTranslator({ inputTokens: 40 });
+  const events = [
+    ...translator.push({ model: 'm', choices: [{ delta: { role: 'assistant', reasoning_content: 'Hmm' } }] }),
+    ...translator.push({ model: 'm', choices: [{ delta: { content: 'Hi' } }] }),
+    ...translator.push({ model: 'm', choices: [{ delta: { tool_calls: [{ index: 0, id: 't1', function: { name: 'LS', arguments: '{}' } }] }, finish_reason: 'tool_calls' }] }),
+    ...translator.push({ model: 'm', choices: [], usage: { prompt_tokens: 38, completion_tokens: 5 } }),
+    ...translator.end(true)
+  ].map(event => ({ event: event.event, data: JSON.parse(event.data) }));
+
+  assert.deepStrictEqual(events.map(event => event.event), [
+    'message_start',
+    'content_block_start', 'content_block_delta',
+    'content_block_stop', 'content_block_start', 'content_block_delta',
+    'content_block_stop', 'content_block_start', 'content_block_delta',
+    'content_block_stop', 'message_delta', 'message_stop'
+  ]);
+  assert.deepStrictEqual(events[0].data.message.usage, { input_tokens: 40, output_tokens: 0 });
+  assert.deepStrictEqual(events[2].data.delta, { type: 'thinking_delta', thinking: 'Hmm' });
+  assert.deepStrictEqual(events[5].data.delta, { type: 'text_delta', text: 'Hi' });
+  assert.deepStrictEqual(events[8].data.delta, { type: 'input_json_delta', partial_json: '{}' });
+  assert.deepStrictEqual(events[10].data, {
+    type: 'message_delta',
+    delta: { stop_reason: 'tool_use', stop_sequence: null },
+    usage: { input_tokens: 38, output_tokens: 5 }
+  });
+});
+
+test('stream translator reports a stream that broke off', () => {
+  const translator = createAnthropicStreamTranslator();
+  translator.push({ model: 'm', choices: [{ delta: { content: 'Hi' } }] });
+  const events = translator.end(false);
+
+  assert.deepStrictEqual(events.map(event => event.event), ['content_block_stop', 'error']);
+});
+
+test('createMessagesExchange estimates input_tokens for message_start', () => {
+  const written = [];
+  const clientRes = { writeHead() {}, write: text => written.push(text), end() {} };
+  const exchange = createMessagesExchange(clientRes);
+  exchange.toChatRequest({ model: 'm', stream: true, messages: [{ role: 'user', content: 'x'.repeat(400) }] });
+
+  exchange.output.writeHead(200, { 'content-type': 'text/event-stream' });
+  exchange.output.write(`data: ${JSON.stringify({ model: 'm', choices: [{ delta: { content: 'Hi' } }] })}\n\n`);
+
+  const start = JSON.parse(written[0].split('\n').find(line => line.startsWith('data: ')).slice(6));
+  assert.strictEqual(start.type, 'message_start');
+  assert.ok(start.message.usage.input_tokens >= 100);
+});
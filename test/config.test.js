@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseYamlConfig, loadConfig } = require('../lib/config');
+
+test('parseYamlConfig reads nested mappings, lists, scalars and comments', () => {
+  const text = [
+    '# proxy settings',
+    'port: 9000',
+    'upstream: "https://example.com" # trailing comment',
+    'timeouts:',
+    '  connectMs: 1000',
+    '  idleMs: ~',
+    'retry:',
+    '  rateLimitDelaysMs:',
+    '    - 100',
+    '    - 200',
+    "  name: 'it''s # not a comment'",
+    'signatures: {}',
+    'flags: [true, false]'
+  ].join('\r\n');
+
+  assert.deepStrictEqual(parseYamlConfig(text), {
+    port: 9000,
+    upstream: 'https://example.com',
+    timeouts: { connectMs: 1000, idleMs: null },
+    retry: { rateLimitDelaysMs: [100, 200], name: "it's # not a comment" },
+    signatures: {},
+    flags: [true, false]
+  });
+});
+
+test('parseYamlConfig rejects tabs and stray indentation with the line number', () => {
+  assert.throws(() => parseYamlConfig('port: 1\n\tupstream: x'), /line 2: tabs are not allowed/);
+  assert.throws(() => parseYamlConfig('timeouts:\n    connectMs: 1\n  idleMs: 2'), /line 3: unexpected indentation/);
+  assert.throws(() => parseYamlConfig('just text'), /line 1: expected "key: value"/);
+});
+
+test('loadConfig applies defaults < config file < environment < flags', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-proxy-config-'));
+  const file = path.join(dir, 'config.yaml');
+  fs.writeFileSync(file, 'port: 9001\ntimeouts:\n  connectMs: 1111\n  idleMs: 2222\n');
+
+  try {
+    const { config, errors } = loadConfig(
+      ['--config', file, '--idle-timeout=4444'],
+      { GEMINI_PROXY_CONNECT_TIMEOUT_MS: '3333', GEMINI_PROXY_IDLE_TIMEOUT_MS: '3333' }
+    );
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(config.port, 9001);
+    assert.strictEqual(config.timeouts.connectMs, 3333);
+    assert.strictEqual(config.timeouts.idleMs, 4444);
+    assert.strictEqual(config.timeouts.responseMs, 60000);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('loadConfig reports every invalid setting', () => {
+  const { errors, flags } = loadConfig(
+    ['--port', '70000', '--response-timeout', '0', '--bogus', '--print-config'],
+    { GEMINI_PROXY_RATE_LIMIT_DELAYS_MS: '1,x' }
+  );
+
+  assert.strictEqual(flags.printConfig, true);
+  assert.deepStrictEqual(errors, [
+    'unknown option --bogus',
+    'GEMINI_PROXY_RATE_LIMIT_DELAYS_MS must be a non-empty list of non-negative integers',
+    '--port must be a port number (1-65535)',
+    '--response-timeout must be a positive integer'
+  ]);
+});
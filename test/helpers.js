@@ -0,0 +1,55 @@
+/**
+ * Test helpers: a proxy in front of mock-gemini, and a plain (strict) Node HTTP client
+ */
+
+const http = require('http');
+const { createProxy } = require('../lib');
+const { createMockServer } = require('../mock-gemini');
+
+// Start mock-gemini with scripted responses and a proxy in front of it
+// Returns {port, close()}
+async function startProxy(responses, config = {}) {
+  const mock = createMockServer({ queue: responses, loop: true, validateSignatures: false });
+  await new Promise(resolve => mock.listen(0, resolve));
+
+  const proxy = createProxy({
+    upstream: `http://localhost:${mock.address().port}`,
+    config: { ...config, logging: { level: 'silent', ...config.logging } }
+  });
+  const port = await proxy.listen(0);
+
+  return {
+    port,
+    async close() {
+      await proxy.close();
+      await new Promise(resolve => {
+        mock.close(resolve);
+        mock.closeIdleConnections();
+      });
+    }
+  };
+}
+
+// POST a JSON body with Node's default (strict) HTTP parser, which rejects invalid
+// framing such as content-length together with transfer-encoding
+// Resolves {statusCode, headers, body}
+function post(port, path, data, headers = {}) {
+  const body = JSON.stringify(data);
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      path,
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body), authorization: 'Bearer test-key', ...headers }
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = { startProxy, post };
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createKeyPool } = require('../lib/keys');
+
+test('acquire rotates through the least recently used keys', () => {
+  const pool = createKeyPool(['AIzaKeyNumberOne1111', 'AIzaKeyNumberTwo2222']);
+
+  const first = pool.acquire(1000);
+  const second = pool.acquire(2000);
+  const third = pool.acquire(3000);
+
+  assert.notStrictEqual(first.key, second.key);
+  assert.strictEqual(third, first);
+  assert.strictEqual(first.requests, 2);
+});
+
+test('a rate limited key cools down for Retry-After or the configured cooldown', () => {
+  const pool = createKeyPool(['AIzaKeyNumberOne1111', 'AIzaKeyNumberTwo2222'], { cooldownMs: 60000 });
+  const first = pool.acquire(100);
+  const second = pool.acquire(200);
+
+  pool.markRateLimited(first, 5000, 1000);
+  assert.strictEqual(pool.available(1000), 1);
+  assert.strictEqual(pool.acquire(2000), second);
+  assert.strictEqual(pool.recoveryMs(2000), 0);
+
+  pool.markRateLimited(second, null, 2000);
+  assert.strictEqual(pool.available(2000), 0);
+  assert.strictEqual(pool.recoveryMs(2000), 4000);
+  assert.strictEqual(pool.acquire(2000), first, 'the key that recovers first');
+
+  assert.strictEqual(pool.available(6000), 1);
+  assert.strictEqual(pool.recoveryMs(6000), 0);
+  assert.strictEqual(pool.available(62000), 2);
+});
+
+test('health reports masked keys and their cooldowns', () => {
+  const pool = createKeyPool(['AIzaKeyNumberOne1111']);
+  const entry = pool.acquire(0);
+  pool.markRateLimited(entry, 3000, 0);
+
+  const [health] = pool.health(1000);
+  assert.strictEqual(health.status, 'cooldown');
+  assert.strictEqual(health.cooldownRemainingMs, 2000);
+  assert.strictEqual(health.rateLimited, 1);
+  assert.ok(!health.key.includes('NumberOne'));
+});
+
+test('an empty pool never waits', () => {
+  const pool = createKeyPool([]);
+
+  assert.strictEqual(pool.acquire(), null);
+  assert.strictEqual(pool.recoveryMs(), 0);
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toNativeRequest, fromNativeResponse, createNativeStreamTranslator } = require('../lib/native');
+
+test('toNativeRequest maps roles, tool calls with signatures and tool results', () => {
+  const native = toNativeRequest({
+    messages: [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'List files' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [
+          { id: 'c1', type: 'function', function: { name: 'LS', arguments: '{"path":"/"}' }, extra_content: { google: { thought_signature: 'sig1' } } },
+          { id: 'c2', type: 'function', function: { name: 'Read', arguments: '{}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'c1', content: '{"files":["a"]}' },
+      { role: 'tool', tool_call_id: 'c2', content: 'plain text' }
+    ]
+  });
+
+  assert.deepStrictEqual(native.systemInstruction, { parts: [{ text: 'Be brief' }] });
+  assert.deepStrictEqual(native.contents, [
+    { role: 'user', parts: [{ text: 'List files' }] },
+    {
+      role: 'model',
+      parts: [
+        { functionCall: { name: 'LS', args: { path: '/' } }, thoughtSignature: 'sig1' },
+        { functionCall: { name: 'Read', args: {} } }
+      ]
+    },
+    {
+      role: 'user',
+      parts: [
+        { functionResponse: { name: 'LS', response: { files: ['a'] } } },
+        { functionResponse: { name: 'Read', response: { result: 'plain text' } } }
+      ]
+    }
+  ]);
+});
+
+test('toNativeRequest maps tools, generation settings and extra_body.google', () => {
+  const native = toNativeRequest({
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'hi' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }],
+    tools: [{ type: 'function', function: { name: 'LS', description: 'List', parameters: { type: 'object' } } }],
+    tool_choice: 'required',
+    max_tokens: 100,
+    temperature: 0.2,
+    stop: 'END',
+    response_format: { type: 'json_object' },
+    extra_body: { google: { thinking_config: { include_thoughts: true, thinking_budget: 1024 } } }
+  });
+
+  assert.deepStrictEqual(native.contents[0].parts, [{ text: 'hi' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }]);
+  assert.deepStrictEqual(native.tools, [{ functionDeclarations: [{ name: 'LS', description: 'List', parameters: { type: 'object' } }] }]);
+  assert.deepStrictEqual(native.toolConfig, { functionCallingConfig: { mode: 'ANY' } });
+  assert.deepStrictEqual(native.generationConfig, {
+    maxOutputTokens: 100,
+    temperature: 0.2,
+    stopSequences: ['END'],
+    responseMimeType: 'application/json',
+    thinkingConfig: { includeThoughts: true, thinkingBudget: 1024 }
+  });
+});
+
+test('fromNativeResponse builds a chat completion with tool calls and usage', () => {
+  const completion = fromNativeResponse({
+    responseId: 'r1',
+    modelVersion: 'gemini-2.5-pro',
+    candidates: [{
+      index: 0,
+      finishReason: 'STOP',
+      content: {
+        parts: [
+          { text: 'thinking...', thought: true },
+          { text: 'Let me look' },
+          { functionCall: { id: 'c1', name: 'LS', args: { path: '/' } }, thoughtSignature: 'sig1' }
+        ]
+      }
+    }],
+    usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, thoughtsTokenCount: 3, totalTokenCount: 18 }
+  }, 'pro');
+
+  assert.strictEqual(completion.id, 'chatcmpl-r1');
+  assert.strictEqual(completion.model, 'gemini-2.5-pro');
+  assert.deepStrictEqual(completion.choices, [{
+    index: 0,
+    finish_reason: 'tool_calls',
+    message: {
+      role: 'assistant',
+      content: 'Let me look',
+      reasoning_content: 'thinking...',
+      tool_calls: [{ id: 'c1', type: 'function', function: { name: 'LS', arguments: '{"path":"/"}' }, extra_content: { google: { thought_signature: 'sig1' } } }]
+    }
+  }]);
+  assert.deepStrictEqual(completion.usage, { prompt_tokens: 10, completion_tokens: 8, total_tokens: 18 });
+});
+
+test('fromNativeResponse maps finish reasons and blocked prompts', () => {
+  const truncated = fromNativeResponse({ candidates: [{ finishReason: 'MAX_TOKENS', content: { parts: [{ text: 'abc' }] } }] }, 'm');
+  assert.strictEqual(truncated.choices[0].finish_reason, 'length');
+
+  const blocked = fromNativeResponse({ promptFeedback: { blockReason: 'SAFETY' } }, 'm');
+  assert.deepStrictEqual(blocked.choices, [{ index: 0, message: { role: 'assistant', content: '' }, finish_reason: 'content_filter' }]);
+});
+
+test('createNativeStreamTranslator numbers tool calls across chunks', () => {
+  const translator = createNativeStreamTranslator('m');
+  const chunks = [
+    ...translator.push({ candidates: [{ content: { parts: [{ text: 'Hi' }] } }] }),
+    ...translator.push({ candidates: [{ content: { parts: [{ functionCall: { name: 'LS', args: {} } }] } }] }),
+    ...translator.push({ candidates: [{ finishReason: 'STOP', content: { parts: [{ functionCall: { name: 'Read', args: {} } }] } }], usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 2 } })
+  ].map(event => JSON.parse(event.data));
+
+  assert.deepStrictEqual(chunks[0].choices[0].delta, { role: 'assistant', content: 'Hi' });
+  assert.strictEqual(chunks[1].choices[0].delta.tool_calls[0].index, 0);
+  assert.strictEqual(chunks[2].choices[0].delta.tool_calls[0].index, 1);
+  assert.strictEqual(chunks[2].choices[0].finish_reason, 'tool_calls');
+  assert.deepStrictEqual(chunks[2].usage, { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 });
+  assert.deepStrictEqual(translator.end(), [{ data: '[DONE]' }]);
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, post } = require('./helpers');
+
+test('non-streaming /v1/responses replies are valid HTTP for strict clients', async () => {
+  const stack = await startProxy([{ content: 'Hello there.' }]);
+  try {
+    const res = await post(stack.port, '/v1/responses', { model: 'gemini-2.5-flash', input: 'Hi' });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['transfer-encoding'], undefined);
+    assert.strictEqual(Number(res.headers['content-length']), Buffer.byteLength(res.body));
+
+    const response = JSON.parse(res.body);
+    assert.strictEqual(response.object, 'response');
+    assert.strictEqual(response.status, 'completed');
+    assert.strictEqual(response.output[0].content[0].text, 'Hello there.');
+  } finally {
+    await stack.close();
+  }
+});
+
+test('previous_response_id continues a stored response', async () => {
+  const stack = await startProxy([{ content: 'First.' }, { content: 'Second.' }]);
+  try {
+    const first = JSON.parse((await post(stack.port, '/v1/responses', { model: 'gemini-2.5-flash', input: 'One' })).body);
+    const res = await post(stack.port, '/v1/responses', { model: 'gemini-2.5-flash', input: 'Two', previous_response_id: first.id });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(JSON.parse(res.body).output[0].content[0].text, 'Second.');
+  } finally {
+    await stack.close();
+  }
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveSchemaRef, sanitizeSchema } = require('../lib/schema');
+
+test('resolveSchemaRef follows local JSON pointers with escaping', () => {
+  const root = { $defs: { 'a/b': { type: 'string' }, 'c~d': { type: 'integer' } } };
+
+  assert.strictEqual(resolveSchemaRef(root, '#'), root);
+  assert.deepStrictEqual(resolveSchemaRef(root, '#/$defs/a~1b'), { type: 'string' });
+  assert.deepStrictEqual(resolveSchemaRef(root, '#/$defs/c~0d'), { type: 'integer' });
+  assert.strictEqual(resolveSchemaRef(root, '#/$defs/missing'), undefined);
+  assert.strictEqual(resolveSchemaRef(root, 'https://example.com/schema.json'), undefined);
+});
+
+test('sanitizeSchema inlines $defs references and drops the definitions', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      home: { $ref: '#/$defs/Address', description: 'Home address' },
+      work: { $ref: '#/definitions/Address' }
+    },
+    $defs: { Address: { type: 'object', properties: { city: { type: 'string' } }, description: 'An address' } },
+    definitions: { Address: { type: 'object', properties: { street: { type: 'string' } } } }
+  };
+
+  const clean = sanitizeSchema(schema);
+
+  assert.deepStrictEqual(clean.properties.home, {
+    type: 'object',
+    properties: { city: { type: 'string' } },
+    description: 'Home address'
+  });
+  assert.deepStrictEqual(clean.properties.work, { type: 'object', properties: { street: { type: 'string' } } });
+  assert.strictEqual(clean.$defs, undefined);
+  assert.strictEqual(clean.definitions, undefined);
+});
+
+test('sanitizeSchema cuts off recursive references after maxRefDepth expansions', () => {
+  const schema = {
+    $defs: {
+      Node: { type: 'object', properties: { value: { type: 'string' }, children: { type: 'array', items: { $ref: '#/$defs/Node' } } } }
+    },
+    $ref: '#/$defs/Node'
+  };
+
+  const clean = sanitizeSchema(schema, { maxRefDepth: 1 });
+
+  const nested = clean.properties.children.items;
+  assert.strictEqual(nested.type, 'object');
+  assert.strictEqual(nested.properties, undefined);
+  assert.match(nested.description, /recursive reference #\/\$defs\/Node truncated/);
+});
+
+test('sanitizeSchema notes unresolved references instead of failing', () => {
+  const clean = sanitizeSchema({ type: 'object', properties: { x: { $ref: '#/$defs/Missing' } } });
+
+  assert.strictEqual(clean.properties.x.$ref, undefined);
+  assert.match(clean.properties.x.description, /unresolved reference #\/\$defs\/Missing/);
+});
+
+test('nullable unions become type + nullable', () => {
+  assert.deepStrictEqual(sanitizeSchema({ anyOf: [{ type: 'string' }, { type: 'null' }] }), { type: 'string', nullable: true });
+  assert.deepStrictEqual(sanitizeSchema({ type: ['string', 'null'] }), { type: 'string', nullable: true });
+});
+
+test('allOf fragments are intersected into one schema', () => {
+  const clean = sanitizeSchema({
+    allOf: [
+      { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+      { properties: { b: { type: 'integer' } }, required: ['b'] }
+    ]
+  });
+
+  assert.deepStrictEqual(clean, {
+    type: 'object',
+    properties: { a: { type: 'string' }, b: { type: 'integer' } },
+    required: ['a', 'b']
+  });
+});
+
+test('object variants are merged and only common fields stay required', () => {
+  const clean = sanitizeSchema({
+    oneOf: [
+      { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+      { type: 'object', properties: { b: { type: 'integer' } }, required: ['b'] }
+    ]
+  });
+
+  assert.deepStrictEqual(clean.properties, { a: { type: 'string' }, b: { type: 'integer' } });
+  assert.strictEqual(clean.required, undefined);
+  assert.match(clean.description, /2 object variants/);
+});
+
+test('unions of different types describe the most permissive type', () => {
+  const clean = sanitizeSchema({ anyOf: [{ type: 'string' }, { type: 'integer' }] });
+
+  assert.strictEqual(clean.type, 'string');
+  assert.match(clean.description, /accepts string \| integer/);
+});
+
+test('const branches become an enum with their descriptions', () => {
+  const clean = sanitizeSchema({ anyOf: [{ const: 'a', description: 'first' }, { const: 'b', description: 'second' }] });
+
+  assert.deepStrictEqual(clean.enum, ['a', 'b']);
+  assert.strictEqual(clean.type, 'string');
+  assert.strictEqual(clean.description, '"a": first; "b": second');
+});
+
+test('not is dropped', () => {
+  assert.deepStrictEqual(sanitizeSchema({ type: 'string', not: { enum: ['x'] } }), { type: 'string' });
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSSEParser, serializeSSEEvent, createStreamProcessor } = require('../lib/sse');
+const { createMemorySignatureStore } = require('../lib/signature-store');
+
+// Feed the input to a fresh parser in the given pieces and collect every event
+function parseInPieces(pieces) {
+  const parser = createSSEParser();
+  const events = [];
+  for (const piece of pieces) events.push(...parser.push(piece));
+  events.push(...parser.end());
+  return events;
+}
+
+test('createSSEParser handles LF, CRLF and CR line endings', () => {
+  const events = parseInPieces(['data: a\n\ndata: b\r\n\r\ndata: c\r\rdata: d\n']);
+
+  assert.deepStrictEqual(events.map(event => event.data), ['a', 'b', 'c', 'd']);
+});
+
+test('createSSEParser joins a CRLF split across chunks', () => {
+  const events = parseInPieces(['data: a\r', '\ndata: b\r', '\n\r', '\n']);
+
+  assert.deepStrictEqual(events, [{ comments: [], data: 'a\nb' }]);
+});
+
+test('createSSEParser keeps multi-byte characters split across chunks', () => {
+  const bytes = Buffer.from('data: {"content":"héllo 👋"}\n\n');
+  const split = bytes.indexOf(Buffer.from('👋')) + 2;
+
+  const events = parseInPieces([bytes.subarray(0, 20), bytes.subarray(20, split), bytes.subarray(split)]);
+
+  assert.deepStrictEqual(JSON.parse(events[0].data), { content: 'héllo 👋' });
+});
+
+test('createSSEParser returns only completed events and keeps comments and fields', () => {
+  const parser = createSSEParser();
+
+  assert.deepStrictEqual(parser.push(': keep-alive\n\nevent: message\nid: 7\ndata: {"a":'), [{ comments: ['keep-alive'] }]);
+  assert.deepStrictEqual(parser.push('1}\n\n'), [{ comments: [], event: 'message', id: '7', data: '{"a":1}' }]);
+  assert.deepStrictEqual(parser.end(), []);
+});
+
+test('serializeSSEEvent round-trips parsed events', () => {
+  const text = ': ping\nevent: message\ndata: line 1\ndata: line 2\n\n';
+
+  assert.strictEqual(serializeSSEEvent(parseInPieces([text])[0]), text);
+});
+
+test('createStreamProcessor fixes finish_reason "stop" after tool calls', () => {
+  const written = [];
+  const processor = createStreamProcessor({ conversationId: 'conv', write: text => written.push(text), store: createMemorySignatureStore() });
+  const event = data => ({ comments: [], data: JSON.stringify(data) });
+
+  processor.handleEvent(event({ choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'Read', arguments: '{}' } }] } }] }));
+  processor.handleEvent(event({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }));
+  assert.strictEqual(written.length, 1);
+
+  processor.handleEvent({ comments: [], data: '[DONE]' });
+  const stats = processor.finish();
+
+  assert.strictEqual(written.length, 3);
+  assert.strictEqual(JSON.parse(written[1].slice('data: '.length)).choices[0].finish_reason, 'tool_calls');
+  assert.strictEqual(written[2], 'data: [DONE]\n\n');
+  assert.strictEqual(stats.finishReason, 'tool_calls');
+  assert.strictEqual(stats.done, true);
+});
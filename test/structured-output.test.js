@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startProxy, post } = require('./helpers');
+
+const RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'result',
+    strict: true,
+    schema: {
+      $defs: {
+        Item: {
+          type: 'object',
+          properties: { name: { type: 'string' }, count: { anyOf: [{ type: 'integer' }, { type: 'null' }] } },
+          required: ['name', 'count'],
+          additionalProperties: false
+        }
+      },
+      type: 'object',
+      properties: { kind: { const: 'item' }, item: { $ref: '#/$defs/Item' } },
+      required: ['kind', 'item'],
+      additionalProperties: false
+    }
+  }
+};
+
+const request = { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Go' }], response_format: RESPONSE_FORMAT };
+
+test('repaired structured output is a valid HTTP reply for strict clients', async () => {
+  const stack = await startProxy([
+    { content: '```json\n{"kind":"item","item":{"name":"a","count":"2","extra":true}}\n```' }
+  ]);
+  try {
+    const res = await post(stack.port, '/v1beta/openai/chat/completions', request);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['transfer-encoding'], undefined);
+    assert.strictEqual(Number(res.headers['content-length']), Buffer.byteLength(res.body));
+
+    const content = JSON.parse(JSON.parse(res.body).choices[0].message.content);
+    assert.deepStrictEqual(content, { kind: 'item', item: { name: 'a', count: 2 } });
+  } finally {
+    await stack.close();
+  }
+});
+
+test('structured output that does not match the schema is answered with a 502', async () => {
+  const stack = await startProxy([{ content: '{"kind":"item","item":{"count":"two"}}' }]);
+  try {
+    const res = await post(stack.port, '/v1beta/openai/chat/completions', request);
+
+    assert.strictEqual(res.statusCode, 502);
+    const { error } = JSON.parse(res.body);
+    assert.strictEqual(error.type, 'proxy_invalid_structured_output');
+    assert.match(error.message, /\$\.item\.name missing required property/);
+  } finally {
+    await stack.close();
+  }
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { thinkingConfigFor, applyThinking, requestsThoughts, splitThoughts, separateReasoning } = require('../lib/thinking');
+const { createStreamProcessor } = require('../lib/sse');
+const { createMemorySignatureStore } = require('../lib/signature-store');
+
+test('thinkingConfigFor maps effort and budgets per model family', () => {
+  assert.deepStrictEqual(thinkingConfigFor('gemini-3-pro-preview', { effort: 'medium' }), { thinking_level: 'high' });
+  assert.deepStrictEqual(thinkingConfigFor('gemini-3-pro-preview', { budget: 512 }), { thinking_level: 'low' });
+  assert.deepStrictEqual(thinkingConfigFor('gemini-2.5-pro', { budget: 0 }), { thinking_budget: 128 });
+  assert.deepStrictEqual(thinkingConfigFor('gemini-2.5-flash', { budget: 0 }), { thinking_budget: 0 });
+  assert.strictEqual(thinkingConfigFor('gemma-3', { effort: 'high' }), null);
+});
+
+test('applyThinking replaces reasoning_effort and only requests thoughts when asked', () => {
+  const request = { model: 'gemini-2.5-flash', reasoning_effort: 'low', messages: [{ role: 'assistant', content: 'a', reasoning_content: 'r' }] };
+
+  const plain = applyThinking(request);
+  assert.strictEqual(plain.reasoning_effort, undefined);
+  assert.deepStrictEqual(plain.extra_body.google.thinking_config, { thinking_budget: 1024 });
+  assert.deepStrictEqual(plain.messages, [{ role: 'assistant', content: 'a' }]);
+  assert.strictEqual(requestsThoughts(plain), false);
+
+  const withThoughts = applyThinking(request, { includeThoughts: true });
+  assert.strictEqual(requestsThoughts(withThoughts), true);
+});
+
+test('splitThoughts separates <thought> text from the answer', () => {
+  assert.deepStrictEqual(splitThoughts('<thought>plan</thought>answer'), { content: 'answer', reasoning: 'plan' });
+
+  const body = Buffer.from(JSON.stringify({ choices: [{ message: { content: '<thought>plan</thought>answer' } }] }));
+  const separated = separateReasoning(body);
+  assert.strictEqual(separated.changed, true);
+  assert.deepStrictEqual(JSON.parse(separated.body).choices[0].message, { content: 'answer', reasoning_content: 'plan' });
+});
+
+test('createStreamProcessor splits streamed thoughts only with includeThoughts', () => {
+  const run = includeThoughts => {
+    const written = [];
+    const processor = createStreamProcessor({ conversationId: 'conv', write: text => written.push(text), store: createMemorySignatureStore(), includeThoughts });
+    for (const content of ['<thou', 'ght>plan</thought>ans', 'wer']) {
+      processor.handleEvent({ comments: [], data: JSON.stringify({ choices: [{ index: 0, delta: { content } }] }) });
+    }
+    return written.map(text => JSON.parse(text.slice('data: '.length)).choices[0].delta);
+  };
+
+  const split = run(true);
+  assert.strictEqual(split.map(delta => delta.reasoning_content || '').join(''), 'plan');
+  assert.strictEqual(split.map(delta => delta.content || '').join(''), 'answer');
+
+  const untouched = run(false);
+  assert.strictEqual(untouched.map(delta => delta.content).join(''), '<thought>plan</thought>answer');
+  assert.ok(untouched.every(delta => delta.reasoning_content === undefined));
+});
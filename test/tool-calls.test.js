@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseToolArguments, checkToolCalls, repairResponseToolCalls, formatToolCallErrorsHeader } = require('../lib/tool-calls');
+const { headersForBody } = require('../lib/headers');
+
+const TOOLS = [{
+  type: 'function',
+  function: {
+    name: 'Edit',
+    parameters: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        mode: { const: 'replace' },
+        level: { enum: ['Low', 'High'] },
+        options: { type: 'object', properties: { force: { type: 'boolean' } } },
+        path: { type: 'string', pattern: '^/' }
+      },
+      required: ['count', 'mode'],
+      additionalProperties: false
+    }
+  }
+}];
+
+const call = (id, args, name = 'Edit') => ({ id, type: 'function', function: { name, arguments: args } });
+
+test('parseToolArguments closes truncated strings, arrays and objects', () => {
+  assert.deepStrictEqual(parseToolArguments('{"a":"hel').value, { a: 'hel' });
+  assert.deepStrictEqual(parseToolArguments('{"a":[1,2').value, { a: [1, 2] });
+
+  const dropped = parseToolArguments('{"a":1,"b":tr');
+  assert.deepStrictEqual(dropped.value, { a: 1 });
+  assert.match(dropped.repairs[0].message, /dropped 7 trailing characters/);
+});
+
+test('parseToolArguments treats empty arguments as {} and rejects non-JSON', () => {
+  assert.deepStrictEqual(parseToolArguments('').value, {});
+  assert.strictEqual(parseToolArguments('not json').error, 'arguments are not valid JSON');
+});
+
+test('checkToolCalls applies safe repairs', () => {
+  const args = JSON.stringify({ count: '3', level: 'low', options: '{"force":"true"}', extra: 1 });
+  const { toolCalls, reports, changed } = checkToolCalls([call('c1', args)], TOOLS);
+
+  assert.strictEqual(changed, true);
+  assert.deepStrictEqual(JSON.parse(toolCalls[0].function.arguments), {
+    count: 3,
+    level: 'Low',
+    options: { force: true },
+    mode: 'replace'
+  });
+  assert.deepStrictEqual(reports[0].errors, []);
+  assert.deepStrictEqual(reports[0].repairs.map(repair => repair.path), ['$.count', '$.level', '$.options', '$.options.force', '$.extra', '$.mode']);
+});
+
+test('checkToolCalls reports a const mismatch instead of replacing the value', () => {
+  const args = JSON.stringify({ count: 1, mode: 'append', path: 'relative' });
+  const { toolCalls, reports, changed } = checkToolCalls([call('c2', args)], TOOLS);
+
+  assert.strictEqual(changed, false);
+  assert.strictEqual(toolCalls[0].function.arguments, args);
+  assert.deepStrictEqual(reports[0].errors, [
+    { path: '$.mode', message: 'expected const "replace", got "append"' },
+    { path: '$.path', message: 'does not match pattern ^/' }
+  ]);
+});
+
+test('checkToolCalls reports unknown tools and missing required properties', () => {
+  const { reports } = checkToolCalls([call('c3', '{}', 'Nope'), call('c4', '{"mode":"replace"}')], TOOLS);
+
+  assert.deepStrictEqual(reports[0].errors, [{ path: '$', message: 'unknown tool' }]);
+  assert.deepStrictEqual(reports[1].errors, [{ path: '$.count', message: 'missing required property' }]);
+});
+
+test('repairResponseToolCalls rewrites only bodies that needed repairs', () => {
+  const body = tools => Buffer.from(JSON.stringify({ choices: [{ message: { role: 'assistant', tool_calls: tools } }] }));
+
+  const valid = body([call('c5', '{"count":1,"mode":"replace"}')]);
+  assert.strictEqual(repairResponseToolCalls(valid, TOOLS).body, valid);
+
+  const repaired = repairResponseToolCalls(body([call('c6', '{"count":"1","mode":"replace"}')]), TOOLS);
+  assert.strictEqual(repaired.changed, true);
+  assert.strictEqual(JSON.parse(repaired.body).choices[0].message.tool_calls[0].function.arguments, '{"count":1,"mode":"replace"}');
+});
+
+test('formatToolCallErrorsHeader keeps the header ASCII', () => {
+  const header = formatToolCallErrorsHeader([{ id: 'c7', name: 'Edit', repairs: [], errors: [{ path: '$', message: 'é' }] }]);
+
+  assert.strictEqual(header, '[{"id":"c7","name":"Edit","errors":[{"path":"$","message":"\\u00e9"}]}]');
+  assert.strictEqual(formatToolCallErrorsHeader([{ id: 'c8', name: 'Edit', repairs: [{ path: '$', message: 'x' }], errors: [] }]), null);
+});
+
+test('headersForBody drops framing headers of the upstream body', () => {
+  const headers = headersForBody({ 'transfer-encoding': 'chunked', 'content-encoding': 'gzip', connection: 'keep-alive', 'x-upstream': '1' }, 'héllo');
+
+  assert.deepStrictEqual(headers, { 'x-upstream': '1', 'content-length': 6 });
+});